@@ -15,6 +15,13 @@ const fs = require("fs").promises;
 const fsSync = require("fs");
 const sizeOf = require("image-size");
 const { fileURLToPath } = require("url");
+const {
+  compileSearchQuery,
+  matchesSearchFilter,
+  matchesSearchGroups,
+  splitContentSearchGroups,
+} = require("./shared/search-query");
+const { getArchiveFormat } = require("./shared/archive-formats");
 
 let isPicker = false;
 let isDev = false;
@@ -23,6 +30,12 @@ app.name = "ez-fm";
 
 let mainWindow;
 const cancelOperations = new Set();
+const operationControls = new Map();
+const pendingConflicts = new Map();
+let conflictSequence = 0;
+const PROGRESS_REPORT_INTERVAL_MS = 100;
+const CHUNKED_COPY_THRESHOLD = 32 * 1024 * 1024;
+const COPY_CHUNK_SIZE = 4 * 1024 * 1024;
 
 function logCommandFailure(command, error) {
   if (!command) return;
@@ -275,6 +288,10 @@ function createWindow() {
 app.whenReady().then(() => {
   isDev = process.env.EZFM_DEVTOOLS === "1";
   createWindow();
+  scheduleTrashPurge();
+  startFileIndex().catch((error) =>
+    console.warn("Failed to start file index:", error),
+  );
 
   if (isDev) {
     registerDevtoolsShortcuts();
@@ -294,6 +311,13 @@ app.on("activate", () => {
 });
 
 app.on("will-quit", () => {
+  stopFileIndex();
+  flushOperationJournalSync();
+  if (archiveEntryCacheDir) {
+    try {
+      fsSync.rmSync(archiveEntryCacheDir, { recursive: true, force: true });
+    } catch {}
+  }
   try {
     globalShortcut.unregisterAll();
   } catch (error) {
@@ -330,37 +354,37 @@ ipcMain.on("picker-cancel", () => {
 });
 
 
+async function buildDirectoryEntry(dirPath, item) {
+  const fullPath = path.join(dirPath, item.name);
+  let stats = null;
+  let linkTarget = null;
+
+  try {
+    stats = await fs.stat(fullPath);
+    if (item.isSymbolicLink()) {
+      linkTarget = await fs.readlink(fullPath);
+    }
+  } catch (err) {}
+
+  return {
+    name: item.name,
+    path: fullPath,
+    isDirectory: item.isDirectory(),
+    isFile: item.isFile(),
+    isSymlink: item.isSymbolicLink(),
+    linkTarget,
+    size: stats?.size || 0,
+    modified: stats?.mtime || null,
+    created: stats?.birthtime || null,
+    extension: item.isFile() ? path.extname(item.name).toLowerCase() : null,
+  };
+}
+
 ipcMain.handle("get-directory-contents", async (event, dirPath) => {
   try {
     const items = await fs.readdir(dirPath, { withFileTypes: true });
     const contents = await Promise.all(
-      items.map(async (item) => {
-        const fullPath = path.join(dirPath, item.name);
-        let stats = null;
-        let linkTarget = null;
-
-        try {
-          stats = await fs.stat(fullPath);
-          if (item.isSymbolicLink()) {
-            linkTarget = await fs.readlink(fullPath);
-          }
-        } catch (err) {}
-
-        return {
-          name: item.name,
-          path: fullPath,
-          isDirectory: item.isDirectory(),
-          isFile: item.isFile(),
-          isSymlink: item.isSymbolicLink(),
-          linkTarget,
-          size: stats?.size || 0,
-          modified: stats?.mtime || null,
-          created: stats?.birthtime || null,
-          extension: item.isFile()
-            ? path.extname(item.name).toLowerCase()
-            : null,
-        };
-      }),
+      items.map((item) => buildDirectoryEntry(dirPath, item)),
     );
 
     contents.sort((a, b) => {
@@ -378,219 +402,1029 @@ ipcMain.handle("get-directory-contents", async (event, dirPath) => {
   }
 });
 
-ipcMain.handle("get-home-directory", () => {
-  return app.getPath("home");
-});
+const MAX_PREVIEW_SIZE = 1024 * 1024;
+const SEARCH_MAX_RESULTS = 5000;
+const SEARCH_BATCH_SIZE = 200;
+const SEARCH_FLUSH_INTERVAL_MS = 150;
+const SEARCH_SKIPPED_ROOTS = new Set(["/proc", "/sys", "/dev"]);
+const CONTENT_SEARCH_MAX_MATCHES = 50;
+const CONTENT_SEARCH_SNIPPET_LENGTH = 160;
+const BINARY_SNIFF_BYTES = 8000;
+const activeSearches = new Map();
+
+function isBinaryBuffer(buffer) {
+  return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
 
-ipcMain.handle("get-wal-themes", async () => {
+function buildMatchSnippet(line, column, length) {
+  if (line.length <= CONTENT_SEARCH_SNIPPET_LENGTH) {
+    return { text: line, column };
+  }
+  const start = Math.max(
+    0,
+    Math.min(
+      column - Math.floor((CONTENT_SEARCH_SNIPPET_LENGTH - length) / 2),
+      line.length - CONTENT_SEARCH_SNIPPET_LENGTH,
+    ),
+  );
+  const prefix = start > 0 ? "…" : "";
+  const end = start + CONTENT_SEARCH_SNIPPET_LENGTH;
+  return {
+    text: prefix + line.slice(start, end) + (end < line.length ? "…" : ""),
+    column: column - start + prefix.length,
+  };
+}
+
+async function findContentMatches(filePath, termGroups) {
+  let stats;
   try {
-    return await collectWalThemes();
+    stats = await fs.stat(filePath);
   } catch {
-    return [];
+    return null;
   }
-});
-
-ipcMain.handle("get-common-directories", () => {
-  const homePath = app.getPath("home");
+  if (stats.size === 0 || stats.size > MAX_PREVIEW_SIZE) return null;
 
-  const existingOrNull = (p) => {
-    if (!p) return null;
-    try {
-      if (fsSync.existsSync(p) && fsSync.statSync(p).isDirectory()) return p;
-    } catch {}
+  let buffer;
+  try {
+    buffer = await fs.readFile(filePath);
+  } catch {
     return null;
-  };
-
-  const getElectronPathOrNull = (name) => {
-    try {
-      return existingOrNull(app.getPath(name));
-    } catch {
-      return null;
+  }
+  if (isBinaryBuffer(buffer)) return null;
+
+  const content = buffer.toString("utf8");
+  const lowerContent = content.toLowerCase();
+  const terms = new Set();
+  for (const group of termGroups) {
+    if (group.every((term) => lowerContent.includes(term))) {
+      group.forEach((term) => terms.add(term));
     }
-  };
-
-  const pickHomeSubdir = (candidates) => {
-    for (const name of candidates) {
-      const p = existingOrNull(path.join(homePath, name));
-      if (p) return p;
+  }
+  if (terms.size === 0) return null;
+
+  const matches = [];
+  let total = 0;
+  const lines = content.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const lowerLine = lines[i].toLowerCase();
+    let column = -1;
+    let length = 0;
+    for (const term of terms) {
+      const index = lowerLine.indexOf(term);
+      if (index !== -1 && (column === -1 || index < column)) {
+        column = index;
+        length = term.length;
+      }
     }
-    return null;
-  };
-
-  const desktop =
-    getElectronPathOrNull("desktop") ??
-    pickHomeSubdir(["Desktop", "desktop", "Schreibtisch", "Bureau"]) ??
-    homePath;
+    if (column === -1) continue;
+    total++;
+    if (matches.length < CONTENT_SEARCH_MAX_MATCHES) {
+      const snippet = buildMatchSnippet(lines[i], column, length);
+      matches.push({ line: i + 1, column: snippet.column, text: snippet.text });
+    }
+  }
+  return total > 0 ? { matches, total } : null;
+}
 
-  const documents =
-    getElectronPathOrNull("documents") ??
-    pickHomeSubdir(["Documents", "documents", "Dokumente", "Documenti"]) ??
-    homePath;
+ipcMain.handle(
+  "start-recursive-search",
+  async (event, searchId, rootPath, query, options = {}) => {
+    let prepared;
+    try {
+      prepared = compileSearchQuery(query);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    const contentGroups = options.content
+      ? splitContentSearchGroups(prepared.groups)
+      : null;
+    const search = { cancelled: false };
+    activeSearches.set(searchId, search);
+    const queue = [rootPath];
+    let batch = [];
+    let found = 0;
+    let lastFlush = Date.now();
+
+    const flush = (done, extra = {}) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send("search-results", {
+          searchId,
+          items: batch,
+          done,
+          ...extra,
+        });
+      }
+      batch = [];
+      lastFlush = Date.now();
+    };
 
-  const downloads =
-    getElectronPathOrNull("downloads") ??
-    pickHomeSubdir([
-      "Downloads",
-      "downloads",
-      "Téléchargements",
-      "Scaricati",
-    ]) ??
-    homePath;
+    try {
+      while (queue.length > 0 && !search.cancelled) {
+        const dir = queue.shift();
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+          continue;
+        }
 
-  const pictures =
-    getElectronPathOrNull("pictures") ??
-    pickHomeSubdir(["Pictures", "pictures", "Images", "Bilder", "Immagini"]) ??
-    homePath;
+        for (const entry of entries) {
+          if (search.cancelled) break;
+          if (!options.showHidden && entry.name.startsWith(".")) continue;
+          if (entry.isDirectory()) {
+            const childPath = path.join(dir, entry.name);
+            if (!SEARCH_SKIPPED_ROOTS.has(childPath)) queue.push(childPath);
+          }
 
-  const music =
-    getElectronPathOrNull("music") ??
-    pickHomeSubdir(["Music", "music", "Musik", "Musica"]) ??
-    homePath;
+          if (options.content && !entry.isFile()) continue;
 
-  const videos =
-    getElectronPathOrNull("videos") ??
-    pickHomeSubdir(["Videos", "videos", "Vidéo", "Video"]) ??
-    homePath;
+          let result = null;
+          if (prepared.needsStats) {
+            result = await buildDirectoryEntry(dir, entry);
+          }
+          const candidate = result || {
+            name: entry.name,
+            path: path.join(dir, entry.name),
+            isDirectory: entry.isDirectory(),
+            extension: entry.isFile()
+              ? path.extname(entry.name).toLowerCase()
+              : null,
+          };
+          let contentMatches = null;
+          if (contentGroups) {
+            const eligible = contentGroups.filter((group) =>
+              group.filters.every((filter) =>
+                matchesSearchFilter(candidate, filter),
+              ),
+            );
+            if (contentGroups.length > 0 && eligible.length === 0) continue;
+            if (
+              eligible.length > 0 &&
+              eligible.every((group) => group.terms.length > 0)
+            ) {
+              contentMatches = await findContentMatches(
+                candidate.path,
+                eligible.map((group) => group.terms),
+              );
+              if (!contentMatches) continue;
+            }
+          } else if (!matchesSearchGroups(candidate, prepared.groups)) {
+            continue;
+          }
 
-  const trash = (() => {
-    try {
-      if (process.platform === "darwin") {
-        const p = path.join(homePath, ".Trash");
-        return fsSync.existsSync(p) ? p : null;
-      }
-      if (process.platform === "linux") {
-        const candidates = [
-          path.join(homePath, ".local", "share", "Trash", "files"),
-          path.join(homePath, ".Trash"),
-        ];
-        for (const p of candidates) {
-          if (fsSync.existsSync(p)) return p;
+          result ||= await buildDirectoryEntry(dir, entry);
+          result.relativeFolder = path.relative(rootPath, dir);
+          if (contentMatches) {
+            result.contentMatches = contentMatches.matches;
+            result.contentMatchCount = contentMatches.total;
+          }
+          batch.push(result);
+          found++;
+          if (found >= SEARCH_MAX_RESULTS) {
+            flush(true, { truncated: true });
+            return { success: true, truncated: true };
+          }
+          if (
+            batch.length >= SEARCH_BATCH_SIZE ||
+            Date.now() - lastFlush >= SEARCH_FLUSH_INTERVAL_MS
+          ) {
+            flush(false);
+          }
         }
-        return null;
       }
-      return null;
-    } catch {
-      return null;
+
+      flush(true, { cancelled: search.cancelled });
+      return { success: true, cancelled: search.cancelled };
+    } catch (error) {
+      flush(true, { error: error.message });
+      return { success: false, error: error.message };
+    } finally {
+      activeSearches.delete(searchId);
     }
-  })();
+  },
+);
+
+ipcMain.handle("cancel-search", (event, searchId) => {
+  const search = activeSearches.get(searchId);
+  if (search) search.cancelled = true;
+  return { success: true };
+});
+
+const FILE_INDEX_VERSION = 2;
+const FILE_INDEX_MAX_RESULTS = 1000;
+const FILE_INDEX_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const FILE_INDEX_WATCH_DEBOUNCE_MS = 1000;
+const FILE_INDEX_SAVE_DELAY_MS = 10 * 1000;
+const FILE_INDEX_YIELD_EVERY = 200;
+const FILE_INDEX_WRITE_CHUNK_SIZE = 1024 * 1024;
+const FILE_INDEX_MAX_WATCHERS = 8000;
+const FILE_INDEX_TYPE_FILE = 0;
+const FILE_INDEX_TYPE_DIR = 1;
+const FILE_INDEX_TYPE_LINK = 2;
+let fileIndexConfig = null;
+let fileIndexDirs = new Map();
+let fileIndexDirMtimes = new Map();
+let fileIndexReady = false;
+let fileIndexIndexing = false;
+let fileIndexUpdatedAt = 0;
+let fileIndexGeneration = 0;
+const fileIndexWatchers = new Map();
+let fileIndexWatchError = null;
+let fileIndexSaveError = null;
+let fileIndexCheckTimer = null;
+let fileIndexSaveTimer = null;
+let fileIndexSaveWrite = Promise.resolve();
+let fileIndexFlushTimer = null;
+const fileIndexDirtyDirs = new Set();
+
+function getFileIndexConfigPath() {
+  return path.join(app.getPath("userData"), "file-index-config.json");
+}
+
+function getFileIndexDataPath() {
+  return path.join(app.getPath("userData"), "file-index.jsonl");
+}
 
+function normalizeFileIndexConfig(config) {
+  const roots = Array.isArray(config?.roots)
+    ? config.roots.filter((r) => typeof r === "string" && path.isAbsolute(r))
+    : [app.getPath("home")];
   return {
-    root: "/",
-    ...(trash ? { trash } : {}),
-    home: homePath,
-    desktop,
-    documents,
-    downloads,
-    pictures,
-    music,
-    videos,
-    config: path.join(homePath, ".config"),
+    enabled: Boolean(config?.enabled),
+    roots: [...new Set(roots.map((r) => path.resolve(r)))],
   };
-});
+}
 
-ipcMain.handle("path-exists", async (event, checkPath) => {
+async function loadFileIndexConfig() {
+  if (fileIndexConfig) return fileIndexConfig;
   try {
-    await fs.access(checkPath);
-    return true;
+    const raw = await fs.readFile(getFileIndexConfigPath(), "utf8");
+    fileIndexConfig = normalizeFileIndexConfig(JSON.parse(raw));
   } catch {
-    return false;
+    fileIndexConfig = normalizeFileIndexConfig(null);
   }
-});
+  return fileIndexConfig;
+}
 
-ipcMain.handle("get-parent-directory", (event, currentPath) => {
-  return path.dirname(currentPath);
-});
+async function saveFileIndexConfig(config) {
+  fileIndexConfig = normalizeFileIndexConfig(config);
+  const configPath = getFileIndexConfigPath();
+  const tempPath = `${configPath}.tmp`;
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(fileIndexConfig));
+  await fs.rename(tempPath, configPath);
+  return fileIndexConfig;
+}
 
-ipcMain.handle("join-paths", (event, ...paths) => {
-  return path.join(...paths);
-});
+function getFileIndexStatus() {
+  let entryCount = 0;
+  for (const entries of fileIndexDirs.values()) entryCount += entries.length;
+  return {
+    enabled: Boolean(fileIndexConfig?.enabled),
+    roots: fileIndexConfig?.roots || [],
+    ready: fileIndexReady,
+    indexing: fileIndexIndexing,
+    entryCount,
+    updatedAt: fileIndexUpdatedAt,
+    watchedDirs: fileIndexWatchers.size,
+    watchError: fileIndexWatchError,
+    saveError: fileIndexSaveError,
+  };
+}
 
-ipcMain.handle("parse-path", (event, pathString) => {
-  return path.parse(pathString);
-});
+function broadcastFileIndexStatus() {
+  const status = getFileIndexStatus();
+  for (const win of BrowserWindow.getAllWindows()) {
+    if (!win.webContents.isDestroyed()) {
+      win.webContents.send("file-index-status", status);
+    }
+  }
+}
 
+function isWithinIndexRoot(targetPath, root) {
+  return targetPath === root || targetPath.startsWith(root + path.sep);
+}
 
-ipcMain.handle("open-file", async (event, filePath) => {
-  try {
-    await shell.openPath(filePath);
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+function isPathIndexed(targetPath) {
+  if (!fileIndexReady || !fileIndexConfig?.enabled) return false;
+  const resolved = path.resolve(targetPath);
+  return fileIndexConfig.roots.some((root) =>
+    isWithinIndexRoot(resolved, root),
+  );
+}
 
-ipcMain.handle("show-in-folder", async (event, filePath) => {
-  shell.showItemInFolder(filePath);
-  return { success: true };
-});
+function resetFileIndexData() {
+  fileIndexDirs = new Map();
+  fileIndexDirMtimes = new Map();
+  fileIndexReady = false;
+}
 
-ipcMain.handle("open-terminal", async (event, dirPath) => {
-  const { spawn } = require("child_process");
+async function loadFileIndexData() {
+  const readline = require("readline");
+  const input = fsSync.createReadStream(getFileIndexDataPath(), "utf8");
+  const dirs = new Map();
+  const mtimes = new Map();
+  let header = null;
   try {
-    if (process.platform === "win32") {
-      spawn("cmd.exe", ["/c", "start", "cmd.exe"], {
-        cwd: dirPath,
-        shell: true,
-      });
-    } else if (process.platform === "darwin") {
-      spawn("open", ["-a", "Terminal", dirPath]);
-    } else {
-      const child = spawn("kitty", [], {
-        cwd: dirPath,
-        detached: true,
-        stdio: "ignore",
-      });
-      child.on("error", (e) => {
-        if (e.code === "ENOENT") {
-          const child2 = spawn("x-terminal-emulator", [], {
-            cwd: dirPath,
-            detached: true,
-            stdio: "ignore",
-          });
-          child2.on("error", (e2) => {
-            if (e2.code === "ENOENT") {
-              spawn("gnome-terminal", [`--working-directory=${dirPath}`], {
-                detached: true,
-                stdio: "ignore",
-              });
-            }
-          });
-          child2.unref();
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      if (!header) {
+        header = JSON.parse(line);
+        if (
+          header?.version !== FILE_INDEX_VERSION ||
+          JSON.stringify(header.roots) !== JSON.stringify(fileIndexConfig.roots)
+        ) {
+          return false;
         }
-      });
-      child.unref();
+        continue;
+      }
+      const [dirPath, mtimeMs, entries] = JSON.parse(line);
+      dirs.set(dirPath, entries);
+      mtimes.set(dirPath, mtimeMs);
     }
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
+  } catch {
+    return false;
+  } finally {
+    input.destroy();
   }
-});
+  if (!header) return false;
+  fileIndexDirs = dirs;
+  fileIndexDirMtimes = mtimes;
+  fileIndexUpdatedAt = Number(header.updatedAt) || 0;
+  fileIndexReady = true;
+  return true;
+}
 
-ipcMain.handle("delete-item", async (event, itemPath) => {
+async function writeFileIndexData() {
+  const dataPath = getFileIndexDataPath();
+  const tempPath = `${dataPath}.tmp`;
+  await fs.mkdir(path.dirname(dataPath), { recursive: true });
+  const handle = await fs.open(tempPath, "w");
   try {
-    const stats = await fs.stat(itemPath);
-
-    if (stats.isDirectory()) {
-      await fs.rm(itemPath, { recursive: true, force: true });
-    } else {
-      try {
-        await fs.unlink(itemPath);
-      } catch (err) {
-        if (err && (err.code === "EACCES" || err.code === "EPERM")) {
-          await fs.chmod(itemPath, 0o600);
-          await fs.unlink(itemPath);
-        } else {
-          throw err;
-        }
+    let chunk = `${JSON.stringify({
+      version: FILE_INDEX_VERSION,
+      roots: fileIndexConfig.roots,
+      updatedAt: fileIndexUpdatedAt,
+    })}\n`;
+    for (const [dirPath, entries] of fileIndexDirs) {
+      chunk += `${JSON.stringify([
+        dirPath,
+        fileIndexDirMtimes.get(dirPath) || 0,
+        entries,
+      ])}\n`;
+      if (chunk.length >= FILE_INDEX_WRITE_CHUNK_SIZE) {
+        await handle.write(chunk);
+        chunk = "";
       }
     }
+    await handle.write(chunk);
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, dataPath);
+  await fs.rm(path.join(path.dirname(dataPath), "file-index.json"), {
+    force: true,
+  });
+}
 
-    return { success: true };
-  } catch (error) {
+function saveFileIndexData() {
+  clearTimeout(fileIndexSaveTimer);
+  fileIndexSaveTimer = null;
+  if (!fileIndexReady) return fileIndexSaveWrite;
+  fileIndexSaveWrite = fileIndexSaveWrite.then(async () => {
+    const previousError = fileIndexSaveError;
     try {
-      await fs.rm(itemPath, { recursive: true, force: true });
-      return { success: true };
-    } catch (finalErr) {
+      await writeFileIndexData();
+      fileIndexSaveError = null;
+    } catch (error) {
+      console.error("Failed to save file index:", error);
+      fileIndexSaveError = `The search index could not be saved: ${error.message}`;
+    }
+    if (previousError !== fileIndexSaveError) broadcastFileIndexStatus();
+  });
+  return fileIndexSaveWrite;
+}
+
+function scheduleFileIndexSave() {
+  if (fileIndexSaveTimer) return;
+  fileIndexSaveTimer = setTimeout(saveFileIndexData, FILE_INDEX_SAVE_DELAY_MS);
+}
+
+async function readIndexDirectory(dirPath) {
+  let dirents;
+  let mtimeMs;
+  try {
+    mtimeMs = Math.round((await fs.stat(dirPath)).mtimeMs);
+    dirents = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+  const entries = await Promise.all(
+    dirents.map(async (dirent) => {
+      let stats = null;
+      try {
+        stats = await fs.lstat(path.join(dirPath, dirent.name));
+      } catch {}
+      let type = FILE_INDEX_TYPE_FILE;
+      if (dirent.isDirectory()) type = FILE_INDEX_TYPE_DIR;
+      else if (dirent.isSymbolicLink()) type = FILE_INDEX_TYPE_LINK;
+      return [
+        dirent.name,
+        type,
+        stats?.size || 0,
+        Math.round(stats?.mtimeMs || 0),
+      ];
+    }),
+  );
+  return { entries, mtimeMs };
+}
+
+async function scanIndexTree(rootPath, dirs, mtimes, generation) {
+  const queue = [rootPath];
+  let scanned = 0;
+  while (queue.length > 0) {
+    if (generation !== fileIndexGeneration) return false;
+    const dir = queue.shift();
+    const listing = await readIndexDirectory(dir);
+    if (!listing) continue;
+    const { entries } = listing;
+    dirs.set(dir, entries);
+    mtimes.set(dir, listing.mtimeMs);
+    for (const [name, type] of entries) {
+      if (type !== FILE_INDEX_TYPE_DIR) continue;
+      const childPath = path.join(dir, name);
+      if (!SEARCH_SKIPPED_ROOTS.has(childPath)) queue.push(childPath);
+    }
+    if (++scanned % FILE_INDEX_YIELD_EVERY === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+  return true;
+}
+
+async function rebuildFileIndex() {
+  if (fileIndexIndexing || !fileIndexConfig?.enabled) return;
+  const generation = fileIndexGeneration;
+  fileIndexIndexing = true;
+  broadcastFileIndexStatus();
+
+  const dirs = new Map();
+  const mtimes = new Map();
+  for (const root of fileIndexConfig.roots) {
+    if (!(await scanIndexTree(root, dirs, mtimes, generation))) return;
+  }
+
+  fileIndexIndexing = false;
+  fileIndexDirs = dirs;
+  fileIndexDirMtimes = mtimes;
+  fileIndexReady = true;
+  fileIndexUpdatedAt = Date.now();
+  syncFileIndexWatchers();
+  broadcastFileIndexStatus();
+  scheduleFileIndexFlush();
+  await saveFileIndexData();
+}
+
+function removeIndexSubtree(dirPath) {
+  for (const dir of [...fileIndexDirs.keys()]) {
+    if (isWithinIndexRoot(dir, dirPath)) {
+      fileIndexDirs.delete(dir);
+      fileIndexDirMtimes.delete(dir);
+    }
+  }
+  for (const dir of [...fileIndexWatchers.keys()]) {
+    if (isWithinIndexRoot(dir, dirPath)) unwatchIndexDirectory(dir);
+  }
+}
+
+async function refreshIndexDirectory(dirPath, generation) {
+  const previous = fileIndexDirs.get(dirPath);
+  const listing = await readIndexDirectory(dirPath);
+  if (generation !== fileIndexGeneration) return;
+  if (!listing) {
+    removeIndexSubtree(dirPath);
+    return;
+  }
+  const { entries } = listing;
+  fileIndexDirs.set(dirPath, entries);
+  fileIndexDirMtimes.set(dirPath, listing.mtimeMs);
+
+  const subdirs = new Set(
+    entries
+      .filter(([, type]) => type === FILE_INDEX_TYPE_DIR)
+      .map(([name]) => path.join(dirPath, name)),
+  );
+  for (const [name, type] of previous || []) {
+    const childPath = path.join(dirPath, name);
+    if (type === FILE_INDEX_TYPE_DIR && !subdirs.has(childPath)) {
+      removeIndexSubtree(childPath);
+    }
+  }
+  for (const childPath of subdirs) {
+    if (!fileIndexDirs.has(childPath) && !SEARCH_SKIPPED_ROOTS.has(childPath)) {
+      await scanIndexTree(
+        childPath,
+        fileIndexDirs,
+        fileIndexDirMtimes,
+        generation,
+      );
+    }
+  }
+}
+
+async function flushFileIndexChanges() {
+  fileIndexFlushTimer = null;
+  if (fileIndexIndexing || !fileIndexReady) return;
+  const generation = fileIndexGeneration;
+  const dirs = [...fileIndexDirtyDirs];
+  fileIndexDirtyDirs.clear();
+  for (const dir of dirs) {
+    await refreshIndexDirectory(dir, generation);
+  }
+  if (generation !== fileIndexGeneration) return;
+  syncFileIndexWatchers();
+  fileIndexUpdatedAt = Date.now();
+  scheduleFileIndexSave();
+}
+
+async function refreshStaleIndexDirectories({ skipWatched = false } = {}) {
+  if (fileIndexIndexing || !fileIndexReady) return;
+  const generation = fileIndexGeneration;
+  let checked = 0;
+  for (const dirPath of [...fileIndexDirs.keys()]) {
+    if (generation !== fileIndexGeneration) return;
+    if (skipWatched && fileIndexWatchers.has(dirPath)) continue;
+    let mtimeMs = null;
+    try {
+      mtimeMs = Math.round((await fs.stat(dirPath)).mtimeMs);
+    } catch {}
+    if (mtimeMs !== fileIndexDirMtimes.get(dirPath)) {
+      fileIndexDirtyDirs.add(dirPath);
+    }
+    if (++checked % FILE_INDEX_YIELD_EVERY === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+  scheduleFileIndexFlush();
+}
+
+function scheduleFileIndexFlush() {
+  if (fileIndexFlushTimer || fileIndexDirtyDirs.size === 0) return;
+  fileIndexFlushTimer = setTimeout(
+    flushFileIndexChanges,
+    FILE_INDEX_WATCH_DEBOUNCE_MS,
+  );
+}
+
+function markIndexDirectoryDirty(dirPath) {
+  fileIndexDirtyDirs.add(dirPath);
+  scheduleFileIndexFlush();
+}
+
+function unwatchIndexDirectory(dirPath) {
+  const watcher = fileIndexWatchers.get(dirPath);
+  if (!watcher) return;
+  fileIndexWatchers.delete(dirPath);
+  try {
+    watcher.close();
+  } catch {}
+}
+
+function watchIndexDirectory(dirPath) {
+  if (fileIndexWatchers.has(dirPath)) return true;
+  if (fileIndexWatchers.size >= FILE_INDEX_MAX_WATCHERS) {
+    fileIndexWatchError = `Watching only the first ${FILE_INDEX_MAX_WATCHERS} folders; the rest refresh on rescan`;
+    return false;
+  }
+  try {
+    const watcher = fsSync.watch(dirPath, { persistent: false }, () =>
+      markIndexDirectoryDirty(dirPath),
+    );
+    watcher.on("error", () => {
+      unwatchIndexDirectory(dirPath);
+      markIndexDirectoryDirty(path.dirname(dirPath));
+    });
+    fileIndexWatchers.set(dirPath, watcher);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "EACCES") return true;
+    fileIndexWatchError =
+      error.code === "ENOSPC"
+        ? "The system limit on watched folders was reached; some folders refresh on rescan only"
+        : `Cannot watch folders for changes: ${error.message}`;
+    return false;
+  }
+}
+
+function syncFileIndexWatchers() {
+  const previousError = fileIndexWatchError;
+  const previousCount = fileIndexWatchers.size;
+  fileIndexWatchError = null;
+  for (const dirPath of [...fileIndexWatchers.keys()]) {
+    if (!fileIndexDirs.has(dirPath)) unwatchIndexDirectory(dirPath);
+  }
+  for (const dirPath of fileIndexDirs.keys()) {
+    if (!watchIndexDirectory(dirPath)) break;
+  }
+  if (
+    previousError !== fileIndexWatchError ||
+    previousCount !== fileIndexWatchers.size
+  ) {
+    broadcastFileIndexStatus();
+  }
+}
+
+function stopFileIndex() {
+  fileIndexGeneration++;
+  for (const dirPath of [...fileIndexWatchers.keys()]) {
+    unwatchIndexDirectory(dirPath);
+  }
+  fileIndexWatchError = null;
+  clearInterval(fileIndexCheckTimer);
+  clearTimeout(fileIndexFlushTimer);
+  fileIndexCheckTimer = null;
+  fileIndexFlushTimer = null;
+  fileIndexDirtyDirs.clear();
+  fileIndexIndexing = false;
+}
+
+async function startFileIndex() {
+  stopFileIndex();
+  await loadFileIndexConfig();
+  if (!fileIndexConfig.enabled) {
+    resetFileIndexData();
+    broadcastFileIndexStatus();
+    return;
+  }
+
+  if (!fileIndexReady && !(await loadFileIndexData())) {
+    resetFileIndexData();
+  }
+  syncFileIndexWatchers();
+  fileIndexCheckTimer = setInterval(
+    () => refreshStaleIndexDirectories({ skipWatched: true }),
+    FILE_INDEX_CHECK_INTERVAL_MS,
+  );
+  if (fileIndexReady) {
+    refreshStaleIndexDirectories();
+  } else {
+    rebuildFileIndex();
+  }
+}
+
+function scoreFuzzyMatch(name, needle) {
+  if (!needle) return 0;
+  const index = name.indexOf(needle);
+  if (index !== -1) {
+    let score = 100 + needle.length * 4;
+    if (index === 0) score += 50;
+    else if (/[\s._\-/]/.test(name[index - 1])) score += 25;
+    if (name.length === needle.length) score += 50;
+    return score - name.length * 0.1;
+  }
+
+  let score = 0;
+  let position = -1;
+  let previous = -2;
+  for (const char of needle) {
+    const found = name.indexOf(char, position + 1);
+    if (found === -1) return null;
+    score += 2;
+    if (found === previous + 1) score += 6;
+    if (found === 0 || /[\s._\-/]/.test(name[found - 1])) score += 8;
+    score -= Math.min(found - position - 1, 10) * 0.5;
+    previous = found;
+    position = found;
+  }
+  return score - name.length * 0.1;
+}
+
+function scoreIndexCandidate(candidate, groups) {
+  if (groups.length === 0) return 0;
+  const lowerName = candidate.name.toLowerCase();
+  let best = null;
+  for (const group of groups) {
+    let score = 0;
+    for (const filter of group) {
+      if (filter.kind === "text") {
+        const filterScore = scoreFuzzyMatch(lowerName, filter.value);
+        if (filterScore === null) {
+          score = null;
+          break;
+        }
+        score += filterScore;
+      } else if (!matchesSearchFilter(candidate, filter)) {
+        score = null;
+        break;
+      }
+    }
+    if (score !== null && (best === null || score > best)) best = score;
+  }
+  return best;
+}
+
+ipcMain.handle("get-file-index-status", async () => {
+  await loadFileIndexConfig();
+  return getFileIndexStatus();
+});
+
+ipcMain.handle("set-file-index-config", async (event, config) => {
+  try {
+    const previous = await loadFileIndexConfig();
+    const next = normalizeFileIndexConfig({ ...previous, ...config });
+    const rootsChanged =
+      JSON.stringify(previous.roots) !== JSON.stringify(next.roots);
+    await saveFileIndexConfig(next);
+    if (rootsChanged || !next.enabled) resetFileIndexData();
+    await startFileIndex();
+    return { success: true, status: getFileIndexStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("rebuild-file-index", async () => {
+  await loadFileIndexConfig();
+  if (!fileIndexConfig.enabled) {
+    return { success: false, error: "Search index is disabled" };
+  }
+  rebuildFileIndex();
+  return { success: true, status: getFileIndexStatus() };
+});
+
+ipcMain.handle(
+  "query-file-index",
+  async (event, rootPath, query, options = {}) => {
+    if (!isPathIndexed(rootPath)) {
+      return { success: false, error: "Folder is not indexed" };
+    }
+    const resolvedRoot = path.resolve(rootPath);
+    let prepared;
+    try {
+      prepared = compileSearchQuery(query);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    const matches = [];
+
+    for (const [dir, entries] of fileIndexDirs) {
+      if (!isWithinIndexRoot(dir, resolvedRoot)) continue;
+      const relativeFolder = path.relative(resolvedRoot, dir);
+      if (
+        !options.showHidden &&
+        relativeFolder.split(path.sep).some((part) => part.startsWith("."))
+      ) {
+        continue;
+      }
+      for (const [name, type, size, mtime] of entries) {
+        if (!options.showHidden && name.startsWith(".")) continue;
+        const isDirectory = type === FILE_INDEX_TYPE_DIR;
+        const candidate = {
+          name,
+          path: path.join(dir, name),
+          isDirectory,
+          extension:
+            type === FILE_INDEX_TYPE_FILE
+              ? path.extname(name).toLowerCase()
+              : null,
+          size,
+          modified: mtime,
+        };
+        const score = scoreIndexCandidate(candidate, prepared.groups);
+        if (score === null) continue;
+        matches.push({ candidate, type, relativeFolder, score });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    const items = matches
+      .slice(0, FILE_INDEX_MAX_RESULTS)
+      .map(({ candidate, type, relativeFolder, score }) => ({
+        ...candidate,
+        isFile: type === FILE_INDEX_TYPE_FILE,
+        isSymlink: type === FILE_INDEX_TYPE_LINK,
+        linkTarget: null,
+        modified: candidate.modified ? new Date(candidate.modified) : null,
+        created: null,
+        relativeFolder,
+        searchScore: score,
+      }));
+
+    return {
+      success: true,
+      items,
+      truncated: matches.length > FILE_INDEX_MAX_RESULTS,
+    };
+  },
+);
+
+ipcMain.handle("get-home-directory", () => {
+  return app.getPath("home");
+});
+
+ipcMain.handle("get-wal-themes", async () => {
+  try {
+    return await collectWalThemes();
+  } catch {
+    return [];
+  }
+});
+
+ipcMain.handle("get-common-directories", () => {
+  const homePath = app.getPath("home");
+
+  const existingOrNull = (p) => {
+    if (!p) return null;
+    try {
+      if (fsSync.existsSync(p) && fsSync.statSync(p).isDirectory()) return p;
+    } catch {}
+    return null;
+  };
+
+  const getElectronPathOrNull = (name) => {
+    try {
+      return existingOrNull(app.getPath(name));
+    } catch {
+      return null;
+    }
+  };
+
+  const pickHomeSubdir = (candidates) => {
+    for (const name of candidates) {
+      const p = existingOrNull(path.join(homePath, name));
+      if (p) return p;
+    }
+    return null;
+  };
+
+  const desktop =
+    getElectronPathOrNull("desktop") ??
+    pickHomeSubdir(["Desktop", "desktop", "Schreibtisch", "Bureau"]) ??
+    homePath;
+
+  const documents =
+    getElectronPathOrNull("documents") ??
+    pickHomeSubdir(["Documents", "documents", "Dokumente", "Documenti"]) ??
+    homePath;
+
+  const downloads =
+    getElectronPathOrNull("downloads") ??
+    pickHomeSubdir([
+      "Downloads",
+      "downloads",
+      "Téléchargements",
+      "Scaricati",
+    ]) ??
+    homePath;
+
+  const pictures =
+    getElectronPathOrNull("pictures") ??
+    pickHomeSubdir(["Pictures", "pictures", "Images", "Bilder", "Immagini"]) ??
+    homePath;
+
+  const music =
+    getElectronPathOrNull("music") ??
+    pickHomeSubdir(["Music", "music", "Musik", "Musica"]) ??
+    homePath;
+
+  const videos =
+    getElectronPathOrNull("videos") ??
+    pickHomeSubdir(["Videos", "videos", "Vidéo", "Video"]) ??
+    homePath;
+
+  const trash = (() => {
+    try {
+      if (process.platform === "darwin") {
+        const p = path.join(homePath, ".Trash");
+        return fsSync.existsSync(p) ? p : null;
+      }
+      if (process.platform === "linux") {
+        return "trash://";
+      }
+      return null;
+    } catch {
+      return null;
+    }
+  })();
+
+  return {
+    root: "/",
+    ...(trash ? { trash } : {}),
+    home: homePath,
+    desktop,
+    documents,
+    downloads,
+    pictures,
+    music,
+    videos,
+    config: path.join(homePath, ".config"),
+  };
+});
+
+ipcMain.handle("path-exists", async (event, checkPath) => {
+  try {
+    await fs.access(checkPath);
+    return true;
+  } catch {
+    return false;
+  }
+});
+
+ipcMain.handle("get-parent-directory", (event, currentPath) => {
+  return path.dirname(currentPath);
+});
+
+ipcMain.handle("join-paths", (event, ...paths) => {
+  return path.join(...paths);
+});
+
+ipcMain.handle("parse-path", (event, pathString) => {
+  return path.parse(pathString);
+});
+
+
+ipcMain.handle("open-file", async (event, filePath) => {
+  try {
+    await shell.openPath(filePath);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("show-in-folder", async (event, filePath) => {
+  shell.showItemInFolder(filePath);
+  return { success: true };
+});
+
+ipcMain.handle("open-terminal", async (event, dirPath) => {
+  const { spawn } = require("child_process");
+  try {
+    if (process.platform === "win32") {
+      spawn("cmd.exe", ["/c", "start", "cmd.exe"], {
+        cwd: dirPath,
+        shell: true,
+      });
+    } else if (process.platform === "darwin") {
+      spawn("open", ["-a", "Terminal", dirPath]);
+    } else {
+      const child = spawn("kitty", [], {
+        cwd: dirPath,
+        detached: true,
+        stdio: "ignore",
+      });
+      child.on("error", (e) => {
+        if (e.code === "ENOENT") {
+          const child2 = spawn("x-terminal-emulator", [], {
+            cwd: dirPath,
+            detached: true,
+            stdio: "ignore",
+          });
+          child2.on("error", (e2) => {
+            if (e2.code === "ENOENT") {
+              spawn("gnome-terminal", [`--working-directory=${dirPath}`], {
+                detached: true,
+                stdio: "ignore",
+              });
+            }
+          });
+          child2.unref();
+        }
+      });
+      child.unref();
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("delete-item", async (event, itemPath) => {
+  try {
+    const stats = await fs.stat(itemPath);
+
+    if (stats.isDirectory()) {
+      await fs.rm(itemPath, { recursive: true, force: true });
+    } else {
+      try {
+        await fs.unlink(itemPath);
+      } catch (err) {
+        if (err && (err.code === "EACCES" || err.code === "EPERM")) {
+          await fs.chmod(itemPath, 0o600);
+          await fs.unlink(itemPath);
+        } else {
+          throw err;
+        }
+      }
+    }
+
+    return { success: true };
+  } catch (error) {
+    try {
+      await fs.rm(itemPath, { recursive: true, force: true });
+      return { success: true };
+    } catch (finalErr) {
       return { success: false, error: finalErr.message, code: finalErr.code };
     }
   }
@@ -624,37 +1458,223 @@ ipcMain.handle("delete-item-sudo", async (event, itemPath, password) => {
   });
 });
 
+async function trashPath(itemPath) {
+  const volumeTrash =
+    process.platform === "linux" ? await resolveVolumeTrash(itemPath) : null;
+  if (volumeTrash) {
+    await moveIntoTrash(itemPath, volumeTrash);
+  } else {
+    await shell.trashItem(itemPath);
+  }
+}
+
 ipcMain.handle("trash-item", async (event, itemPath) => {
   try {
-    await shell.trashItem(itemPath);
+    await trashPath(itemPath);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle("restore-trash-items", async (event, originalPaths) => {
-  const list = Array.isArray(originalPaths)
-    ? originalPaths.filter(Boolean)
-    : [];
-  if (list.length === 0) {
-    return { success: false, error: "No paths provided" };
+function getHomeTrashDir() {
+  return path.join(app.getPath("home"), ".local", "share", "Trash");
+}
+
+function normalizeTrashPath(p) {
+  return String(p || "")
+    .replace(/\\/g, "/")
+    .replace(/\/+$/, "");
+}
+
+const NON_TRASH_FS_TYPES = new Set([
+  "proc",
+  "sysfs",
+  "devtmpfs",
+  "devpts",
+  "cgroup",
+  "cgroup2",
+  "securityfs",
+  "pstore",
+  "bpf",
+  "tracefs",
+  "debugfs",
+  "mqueue",
+  "hugetlbfs",
+  "fusectl",
+  "configfs",
+  "autofs",
+  "binfmt_misc",
+  "nfs",
+  "nfs4",
+  "cifs",
+  "smb3",
+  "fuse.sshfs",
+]);
+
+function getTrashUid() {
+  return typeof process.getuid === "function" ? process.getuid() : 0;
+}
+
+async function findMountTopdir(targetPath) {
+  let current = path.dirname(path.resolve(targetPath));
+  const { dev } = await fs.stat(current);
+  while (true) {
+    const parent = path.dirname(current);
+    if (parent === current) return current;
+    try {
+      if ((await fs.stat(parent)).dev !== dev) return current;
+    } catch {
+      return current;
+    }
+    current = parent;
   }
+}
 
-  if (process.platform !== "linux") {
-    return { success: false, error: "Restore from Trash is not supported" };
+async function readMountTable() {
+  let mounts = "";
+  try {
+    mounts = await fs.readFile("/proc/self/mounts", "utf8");
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of mounts.split("\n")) {
+    const [, rawMountpoint, type] = line.split(" ");
+    if (!rawMountpoint) continue;
+    const topdir = rawMountpoint.replace(/\\([0-7]{3})/g, (m, oct) =>
+      String.fromCharCode(parseInt(oct, 8)),
+    );
+    entries.push({ topdir, type });
   }
+  return entries;
+}
 
+async function resolveVolumeTrash(itemPath) {
   const homePath = app.getPath("home");
-  const trashBase = path.join(homePath, ".local", "share", "Trash");
+  const [itemStats, homeStats] = await Promise.all([
+    fs.stat(path.dirname(path.resolve(itemPath))),
+    fs.stat(homePath),
+  ]);
+  if (itemStats.dev === homeStats.dev) return null;
+
+  const topdir = await findMountTopdir(itemPath);
+  const mount = (await readMountTable())
+    .reverse()
+    .find((entry) => entry.topdir === topdir);
+  if (mount && NON_TRASH_FS_TYPES.has(mount.type)) return null;
+  const uid = getTrashUid();
+
+  try {
+    const shared = await fs.lstat(path.join(topdir, ".Trash"));
+    if (
+      shared.isDirectory() &&
+      !shared.isSymbolicLink() &&
+      (shared.mode & 0o1000) !== 0
+    ) {
+      const base = path.join(topdir, ".Trash", String(uid));
+      await fs.mkdir(base, { recursive: true, mode: 0o700 });
+      return { base, topdir };
+    }
+  } catch {}
+
+  const base = path.join(topdir, `.Trash-${uid}`);
+  try {
+    await fs.mkdir(base, { recursive: true, mode: 0o700 });
+    const stats = await fs.lstat(base);
+    if (!stats.isDirectory() || stats.uid !== uid) return null;
+  } catch {
+    return null;
+  }
+  return { base, topdir };
+}
+
+function formatTrashDeletionDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  );
+}
+
+async function moveIntoTrash(itemPath, { base, topdir }) {
+  const filesDir = path.join(base, "files");
+  const infoDir = path.join(base, "info");
+  await fs.mkdir(filesDir, { recursive: true, mode: 0o700 });
+  await fs.mkdir(infoDir, { recursive: true, mode: 0o700 });
+
+  const resolved = path.resolve(itemPath);
+  const relative = path.relative(topdir, resolved);
+  const encoded = relative.split("/").map(encodeURIComponent).join("/");
+  const content =
+    "[Trash Info]\n" +
+    `Path=${encoded}\n` +
+    `DeletionDate=${formatTrashDeletionDate(new Date())}\n`;
+
+  const ext = path.extname(resolved);
+  const stem = path.basename(resolved, ext);
+  for (let n = 1; ; n++) {
+    const trashName = n === 1 ? path.basename(resolved) : `${stem}.${n}${ext}`;
+    const infoPath = path.join(infoDir, `${trashName}.trashinfo`);
+    try {
+      await fs.writeFile(infoPath, content, { flag: "wx", mode: 0o600 });
+    } catch (error) {
+      if (error.code === "EEXIST") continue;
+      throw error;
+    }
+    const trashedPath = path.join(filesDir, trashName);
+    try {
+      await fs.lstat(trashedPath);
+      await fs.unlink(infoPath);
+      continue;
+    } catch {}
+    try {
+      await fs.rename(resolved, trashedPath);
+    } catch (error) {
+      await fs.rm(infoPath, { force: true });
+      throw error;
+    }
+    return trashedPath;
+  }
+}
+
+async function listTrashLocations() {
+  const locations = [{ base: getHomeTrashDir(), topdir: null }];
+  if (process.platform !== "linux") return locations;
+
+  const uid = getTrashUid();
+  const seen = new Set([getHomeTrashDir()]);
+  for (const { topdir, type } of await readMountTable()) {
+    if (NON_TRASH_FS_TYPES.has(type)) continue;
+    for (const base of [
+      path.join(topdir, ".Trash", String(uid)),
+      path.join(topdir, `.Trash-${uid}`),
+    ]) {
+      if (seen.has(base)) continue;
+      seen.add(base);
+      try {
+        if ((await fs.lstat(path.join(base, "files"))).isDirectory()) {
+          locations.push({ base, topdir });
+        }
+      } catch {}
+    }
+  }
+  return locations;
+}
+
+async function readAllTrashEntries() {
+  const entries = [];
+  for (const location of await listTrashLocations()) {
+    const found = await readTrashDirectory(location.base, location.topdir);
+    if (found) entries.push(...found);
+  }
+  return entries;
+}
+
+async function readTrashDirectory(trashBase, topdir = null) {
   const trashFilesDir = path.join(trashBase, "files");
   const trashInfoDir = path.join(trashBase, "info");
 
-  const normalizePath = (p) =>
-    String(p || "")
-      .replace(/\\/g, "/")
-      .replace(/\/+$/, "");
-
   const decodePath = (value) => {
     try {
       return decodeURIComponent(value);
@@ -666,8 +1686,8 @@ ipcMain.handle("restore-trash-items", async (event, originalPaths) => {
   let infoFiles = [];
   try {
     infoFiles = await fs.readdir(trashInfoDir);
-  } catch (error) {
-    return { success: false, error: "Trash info directory not found" };
+  } catch {
+    return null;
   }
 
   const entries = [];
@@ -691,16 +1711,337 @@ ipcMain.handle("restore-trash-items", async (event, originalPaths) => {
       }
     }
     if (!original) continue;
+    if (topdir && !path.isAbsolute(original)) {
+      original = path.join(topdir, original);
+    }
+
+    const trashName = fileName.replace(/\.trashinfo$/i, "");
+    entries.push({
+      original: normalizeTrashPath(original),
+      deletedAt: deletedAt ? Date.parse(deletedAt) || 0 : 0,
+      trashName,
+      infoPath,
+      trashedPath: path.join(trashFilesDir, trashName),
+    });
+  }
+  return entries;
+}
+
+async function restoreTrashEntry(entry, targetPath) {
+  const stats = await fs.lstat(entry.trashedPath);
+
+  try {
+    await fs.access(targetPath);
+    targetPath = await findUniquePath(
+      targetPath,
+      stats.isDirectory() ? "folder" : "file",
+    );
+  } catch {}
+
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  await movePath(entry.trashedPath, targetPath);
+  try {
+    await fs.unlink(entry.infoPath);
+  } catch {}
+  return { from: entry.trashedPath, to: targetPath };
+}
+
+async function collectTrashItems() {
+  const items = [];
+  for (const location of await listTrashLocations()) {
+    const trashBase = location.base;
+    const entries =
+      (await readTrashDirectory(trashBase, location.topdir)) || [];
+    const byName = new Map(entries.map((entry) => [entry.trashName, entry]));
+
+    let names = [];
+    try {
+      names = await fs.readdir(path.join(trashBase, "files"));
+    } catch {}
+
+    for (const name of names) {
+      const trashedPath = path.join(trashBase, "files", name);
+      const entry = byName.get(name);
+      let stats;
+      try {
+        stats = await fs.lstat(trashedPath);
+      } catch {
+        continue;
+      }
+      const displayName = entry ? path.basename(entry.original) : name;
+      items.push({
+        name: displayName,
+        path: trashedPath,
+        isDirectory: stats.isDirectory(),
+        isFile: stats.isFile(),
+        isSymlink: stats.isSymbolicLink(),
+        linkTarget: null,
+        size: stats.isDirectory() ? 0 : stats.size,
+        modified: stats.mtime,
+        created: stats.birthtime,
+        extension: stats.isFile()
+          ? path.extname(displayName).toLowerCase()
+          : null,
+        trashOriginalPath: entry ? entry.original : null,
+        trashDeletedAt: entry && entry.deletedAt ? entry.deletedAt : null,
+      });
+    }
+  }
+  return items;
+}
+
+async function deleteTrashedItem(trashedPath) {
+  await fs.rm(trashedPath, { recursive: true, force: true });
+  if (path.basename(path.dirname(trashedPath)) !== "files") return;
+  await fs.rm(
+    path.join(
+      path.dirname(path.dirname(trashedPath)),
+      "info",
+      `${path.basename(trashedPath)}.trashinfo`,
+    ),
+    { force: true },
+  );
+}
+
+ipcMain.handle("list-trash-items", async () => {
+  if (process.platform !== "linux") {
+    return { success: false, error: "Trash view is not supported" };
+  }
+  return { success: true, items: await collectTrashItems() };
+});
+
+ipcMain.handle("restore-trashed-entries", async (event, trashedPaths, targetDir) => {
+  const list = Array.isArray(trashedPaths) ? trashedPaths.filter(Boolean) : [];
+  if (list.length === 0) {
+    return { success: false, error: "No paths provided" };
+  }
+
+  const entries = await readAllTrashEntries();
+  const byPath = new Map(
+    entries.map((entry) => [normalizeTrashPath(entry.trashedPath), entry]),
+  );
+
+  const restored = [];
+  const failed = [];
+  for (const trashedPath of list) {
+    const entry = byPath.get(normalizeTrashPath(trashedPath));
+    if (!entry) {
+      failed.push({ path: trashedPath, error: "Item not found in Trash" });
+      continue;
+    }
+    const targetPath = targetDir
+      ? path.join(targetDir, path.basename(entry.original))
+      : entry.original;
+    try {
+      restored.push(await restoreTrashEntry(entry, targetPath));
+    } catch (error) {
+      failed.push({ path: trashedPath, error: error.message || "Restore failed" });
+    }
+  }
+
+  return { success: failed.length === 0, restored, failed };
+});
+
+ipcMain.handle("delete-trashed-entries", async (event, trashedPaths) => {
+  const list = Array.isArray(trashedPaths) ? trashedPaths.filter(Boolean) : [];
+  const trashBases = new Set(
+    (await listTrashLocations()).map((location) => location.base),
+  );
+
+  const deleted = [];
+  const failed = [];
+  for (const trashedPath of list) {
+    const resolved = path.resolve(trashedPath);
+    const trashBase = path.dirname(path.dirname(resolved));
+    if (
+      path.basename(path.dirname(resolved)) !== "files" ||
+      !trashBases.has(trashBase)
+    ) {
+      failed.push({ path: trashedPath, error: "Not a Trash item" });
+      continue;
+    }
+    try {
+      await deleteTrashedItem(resolved);
+      deleted.push(trashedPath);
+    } catch (error) {
+      failed.push({ path: trashedPath, error: error.message });
+    }
+  }
+
+  return { success: failed.length === 0, deleted, failed };
+});
+
+const TRASH_PURGE_STARTUP_DELAY_MS = 30 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let trashPolicy = null;
+
+function getTrashPolicyPath() {
+  return path.join(app.getPath("userData"), "trash-policy.json");
+}
+
+function normalizeTrashPolicy(policy) {
+  return {
+    maxAgeDays: Math.max(0, Number(policy?.maxAgeDays) || 0),
+    maxSizeBytes: Math.max(0, Number(policy?.maxSizeBytes) || 0),
+  };
+}
+
+async function loadTrashPolicy() {
+  if (trashPolicy) return trashPolicy;
+  try {
+    const raw = await fs.readFile(getTrashPolicyPath(), "utf8");
+    trashPolicy = normalizeTrashPolicy(JSON.parse(raw));
+  } catch {
+    trashPolicy = normalizeTrashPolicy(null);
+  }
+  return trashPolicy;
+}
+
+async function saveTrashPolicy(policy) {
+  trashPolicy = normalizeTrashPolicy(policy);
+  const policyPath = getTrashPolicyPath();
+  const tempPath = `${policyPath}.tmp`;
+  await fs.mkdir(path.dirname(policyPath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(trashPolicy));
+  await fs.rename(tempPath, policyPath);
+  return trashPolicy;
+}
+
+async function selectTrashPurgeCandidates(policy) {
+  if (!policy.maxAgeDays && !policy.maxSizeBytes) return [];
+  const items = await collectTrashItems();
+  const selected = new Set();
+
+  if (policy.maxAgeDays > 0) {
+    const cutoff = Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const item of items) {
+      if (item.trashDeletedAt && item.trashDeletedAt < cutoff) {
+        selected.add(item);
+      }
+    }
+  }
+
+  if (policy.maxSizeBytes > 0) {
+    const remaining = items.filter((item) => !selected.has(item));
+    let total = 0;
+    for (const item of remaining) {
+      if (item.isDirectory) item.size = await getDirectorySize(item.path);
+      total += item.size || 0;
+    }
+    remaining.sort((a, b) => (a.trashDeletedAt || 0) - (b.trashDeletedAt || 0));
+    for (const item of remaining) {
+      if (total <= policy.maxSizeBytes) break;
+      selected.add(item);
+      total -= item.size || 0;
+    }
+  }
+
+  return items.filter((item) => selected.has(item));
+}
+
+async function removeTrashItems(event, items, operationId) {
+  const cancelKey = operationId ? String(operationId) : null;
+  const deleted = [];
+  const failed = [];
+  try {
+    for (let i = 0; i < items.length; i++) {
+      if (cancelKey && cancelOperations.has(cancelKey)) {
+        return { success: false, cancelled: true, error: "Cancelled", deleted };
+      }
+      const item = items[i];
+      if (!event.sender.isDestroyed()) {
+        event.sender.send("file-operation-progress", {
+          operationId: cancelKey,
+          percent: (i / items.length) * 100,
+          currentFile: item.name,
+          filesDone: i,
+          filesTotal: items.length,
+        });
+      }
+      try {
+        await deleteTrashedItem(item.path);
+        deleted.push(item.path);
+      } catch (error) {
+        failed.push({ path: item.path, error: error.message });
+      }
+    }
+    return { success: failed.length === 0, deleted, failed };
+  } finally {
+    if (cancelKey) cancelOperations.delete(cancelKey);
+  }
+}
+
+async function checkTrashPurge() {
+  try {
+    const candidates = await selectTrashPurgeCandidates(await loadTrashPolicy());
+    if (candidates.length === 0) return;
+    for (const win of BrowserWindow.getAllWindows()) {
+      if (!win.isDestroyed()) {
+        win.webContents.send("trash-purge-due", { count: candidates.length });
+      }
+    }
+  } catch (error) {
+    console.error("Failed to check trash retention:", error);
+  }
+}
+
+function scheduleTrashPurge() {
+  if (process.platform !== "linux") return;
+  setTimeout(checkTrashPurge, TRASH_PURGE_STARTUP_DELAY_MS);
+  setInterval(checkTrashPurge, TRASH_PURGE_INTERVAL_MS);
+}
+
+ipcMain.handle("get-trash-policy", async () => loadTrashPolicy());
+
+ipcMain.handle("set-trash-policy", async (event, policy) => {
+  try {
+    const saved = await saveTrashPolicy(policy);
+    checkTrashPurge();
+    return { success: true, policy: saved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("purge-trash", async (event, operationId) => {
+  try {
+    const candidates = await selectTrashPurgeCandidates(await loadTrashPolicy());
+    return await removeTrashItems(event, candidates, operationId);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("empty-trash", async (event, operationId) => {
+  try {
+    let items;
+    if (process.platform === "linux") {
+      items = await collectTrashItems();
+    } else {
+      const trashDir = path.join(app.getPath("home"), ".Trash");
+      const names = await fs.readdir(trashDir);
+      items = names.map((name) => ({ name, path: path.join(trashDir, name) }));
+    }
+    return await removeTrashItems(event, items, operationId);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("restore-trash-items", async (event, originalPaths) => {
+  const list = Array.isArray(originalPaths)
+    ? originalPaths.filter(Boolean)
+    : [];
+  if (list.length === 0) {
+    return { success: false, error: "No paths provided" };
+  }
 
-    const trashName = fileName.replace(/\.trashinfo$/i, "");
-    entries.push({
-      original: normalizePath(original),
-      deletedAt: deletedAt ? Date.parse(deletedAt) : 0,
-      trashName,
-      infoPath,
-    });
+  if (process.platform !== "linux") {
+    return { success: false, error: "Restore from Trash is not supported" };
   }
 
+  const entries = await readAllTrashEntries();
+
   const entryMap = new Map();
   for (const entry of entries) {
     const existing = entryMap.get(entry.original);
@@ -713,57 +2054,27 @@ ipcMain.handle("restore-trash-items", async (event, originalPaths) => {
   const failed = [];
 
   for (const rawPath of list) {
-    const original = normalizePath(rawPath);
+    const original = normalizeTrashPath(rawPath);
     const entry = entryMap.get(original);
     if (!entry) {
       failed.push({ path: rawPath, error: "Item not found in Trash" });
       continue;
     }
 
-    const trashedPath = path.join(trashFilesDir, entry.trashName);
-    let stats;
     try {
-      stats = await fs.stat(trashedPath);
-    } catch (error) {
+      await fs.lstat(entry.trashedPath);
+    } catch {
       failed.push({ path: rawPath, error: "Trashed item missing" });
       continue;
     }
 
-    let targetPath = original || rawPath;
     try {
-      await fs.access(targetPath);
-      targetPath = await findUniquePath(
-        targetPath,
-        stats.isDirectory() ? "folder" : "file",
-      );
-    } catch {}
-
-    try {
-      await fs.mkdir(path.dirname(targetPath), { recursive: true });
-      await fs.rename(trashedPath, targetPath);
-      try {
-        await fs.unlink(entry.infoPath);
-      } catch {}
-      restored.push({ from: trashedPath, to: targetPath });
+      restored.push(await restoreTrashEntry(entry, original || rawPath));
     } catch (error) {
-      try {
-        if (stats.isDirectory()) {
-          await copyDirectory(trashedPath, targetPath);
-          await fs.rm(trashedPath, { recursive: true, force: true });
-        } else {
-          await fs.copyFile(trashedPath, targetPath);
-          await fs.unlink(trashedPath);
-        }
-        try {
-          await fs.unlink(entry.infoPath);
-        } catch {}
-        restored.push({ from: trashedPath, to: targetPath });
-      } catch (fallbackError) {
-        failed.push({
-          path: rawPath,
-          error: fallbackError.message || "Restore failed",
-        });
-      }
+      failed.push({
+        path: rawPath,
+        error: error.message || "Restore failed",
+      });
     }
   }
 
@@ -812,115 +2123,799 @@ ipcMain.handle("create-folder", async (event, parentPath, folderName) => {
       }
       throw err;
     }
-  } catch (error) {
-    return { success: false, error: error.message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("create-file", async (event, parentPath, fileName) => {
+  try {
+    const basePath = path.resolve(parentPath);
+    const desiredPath = path.join(basePath, fileName);
+
+    await fs.mkdir(basePath, { recursive: true });
+
+    try {
+      const fh = await fs.open(desiredPath, "wx");
+      await fh.close();
+      return { success: true, path: desiredPath };
+    } catch (err) {
+      if (err && err.code === "EEXIST") {
+        const uniquePath = await findUniquePath(desiredPath, "file");
+        const fh = await fs.open(uniquePath, "wx");
+        await fh.close();
+        return { success: true, path: uniquePath };
+      }
+      throw err;
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+async function findUniquePath(desiredPath, kind) {
+  const dir = path.dirname(desiredPath);
+  const parsed = path.parse(desiredPath);
+
+  const baseName = kind === "file" ? parsed.name : parsed.base;
+  const ext = kind === "file" ? parsed.ext : "";
+
+  for (let i = 1; i < 10000; i++) {
+    const candidateName = `${baseName} (${i})${ext}`;
+    const candidatePath = path.join(dir, candidateName);
+    try {
+      await fs.access(candidatePath);
+    } catch {
+      return candidatePath;
+    }
+  }
+
+  throw new Error("Could not find a unique name");
+}
+
+ipcMain.handle("copy-item", async (event, sourcePath, destPath, options = {}) => {
+  try {
+    const preserveMetadata = options.preserveMetadata !== false;
+    const stats = preserveMetadata
+      ? await fs.lstat(sourcePath)
+      : await fs.stat(sourcePath);
+    const xattrs =
+      preserveMetadata && !stats.isSymbolicLink()
+        ? await captureExtendedAttributes(sourcePath)
+        : null;
+    if (stats.isSymbolicLink()) {
+      await copySymlink(sourcePath, destPath, stats);
+    } else if (stats.isDirectory()) {
+      await copyDirectory(sourcePath, destPath, { ...options, xattrs });
+    } else {
+      await fs.copyFile(sourcePath, destPath);
+      if (preserveMetadata) {
+        await applyEntryMetadata(sourcePath, destPath, stats, xattrs);
+      }
+    }
+    if (xattrs) await xattrs.apply();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+let xattrToolsAvailable = process.platform === "linux";
+
+function runXattrTool(command, args, input) {
+  const { execFile } = require("child_process");
+  return new Promise((resolve) => {
+    const child = execFile(
+      command,
+      args,
+      { encoding: "latin1", maxBuffer: 256 * 1024 * 1024 },
+      (error, stdout) => {
+        if (error?.code === "ENOENT") xattrToolsAvailable = false;
+        if (error && !stdout) logCommandFailure(`${command} ${args[0]}`, error);
+        resolve(stdout || "");
+      },
+    );
+    if (input !== undefined) {
+      child.stdin.on("error", () => {});
+      child.stdin.end(input, "latin1");
+    }
+  });
+}
+
+function unquoteXattrPath(quoted) {
+  const raw = quoted.replace(/\\([0-7]{3})/g, (m, octal) =>
+    String.fromCharCode(parseInt(octal, 8)),
+  );
+  return path.resolve(Buffer.from(raw, "latin1").toString("utf8"));
+}
+
+function quoteXattrPath(filePath) {
+  let quoted = "";
+  for (const byte of Buffer.from(filePath, "utf8")) {
+    quoted +=
+      byte < 0x20 || byte >= 0x7f || byte === 0x5c
+        ? `\\${byte.toString(8).padStart(3, "0")}`
+        : String.fromCharCode(byte);
+  }
+  return quoted;
+}
+
+async function readTreeExtendedAttributes(rootPath) {
+  const attrs = new Map();
+  if (!xattrToolsAvailable) return attrs;
+  const dump = await runXattrTool("getfattr", [
+    "-R",
+    "-P",
+    "-h",
+    "--absolute-names",
+    "-d",
+    "-m",
+    "^user\\.",
+    "-e",
+    "base64",
+    "--",
+    rootPath,
+  ]);
+  let lines = null;
+  for (const line of dump.split("\n")) {
+    if (line.startsWith("# file: ")) {
+      lines = [];
+      attrs.set(unquoteXattrPath(line.slice(8)), lines);
+    } else if (lines && line.startsWith("user.")) {
+      lines.push(line);
+    }
+  }
+  return attrs;
+}
+
+async function captureExtendedAttributes(rootPath) {
+  const attrs = await readTreeExtendedAttributes(rootPath);
+  const pending = [];
+  return {
+    add(source, destination, mode) {
+      const lines = attrs.get(path.resolve(source));
+      if (lines?.length) pending.push([destination, lines, mode]);
+    },
+    async apply() {
+      if (pending.length === 0) return;
+      const entries = pending.splice(0);
+      // setfattr needs write access, so lift read-only modes until it is done
+      const readOnly = entries.filter(
+        ([, , mode]) => mode !== undefined && !(mode & 0o200),
+      );
+      for (const [destination, , mode] of readOnly) {
+        try {
+          await fs.chmod(destination, mode | 0o200);
+        } catch {}
+      }
+      const restore = entries
+        .map(
+          ([destination, lines]) =>
+            `# file: ${quoteXattrPath(path.resolve(destination))}\n${lines.join("\n")}\n`,
+        )
+        .join("\n");
+      await runXattrTool("setfattr", ["-h", "--restore=-"], restore);
+      for (const [destination, , mode] of readOnly) {
+        try {
+          await fs.chmod(destination, mode);
+        } catch {}
+      }
+    },
+  };
+}
+
+async function applyEntryMetadata(source, destination, stats, xattrs) {
+  if (stats.isSymbolicLink()) {
+    try {
+      await fs.lutimes(destination, stats.atime, stats.mtime);
+    } catch {}
+    return;
+  }
+  if (xattrs) xattrs.add(source, destination, stats.mode & 0o7777);
+  try {
+    await fs.chmod(destination, stats.mode & 0o7777);
+  } catch {}
+  try {
+    await fs.utimes(destination, stats.atime, stats.mtime);
+  } catch {}
+}
+
+async function copySymlink(source, destination, stats) {
+  const target = await fs.readlink(source);
+  await fs.rm(destination, { force: true });
+  await fs.symlink(target, destination);
+  await applyEntryMetadata(source, destination, stats);
+}
+
+async function copyFileChunked(
+  source,
+  destination,
+  { checkCancelled, onProgress, chunkSize = COPY_CHUNK_SIZE } = {},
+) {
+  const sourceHandle = await fs.open(source, "r");
+  // Write beside the destination so a cancelled copy never truncates a file
+  // that is being replaced.
+  const partialPath = path.join(
+    path.dirname(destination),
+    `.${path.basename(destination)}.ezfm-partial`,
+  );
+  let destHandle = null;
+  try {
+    const stats = await sourceHandle.stat();
+    destHandle = await fs.open(partialPath, "w");
+    const buffer = Buffer.allocUnsafe(chunkSize);
+    let position = 0;
+    while (true) {
+      if (checkCancelled) checkCancelled();
+      const { bytesRead } = await sourceHandle.read(
+        buffer,
+        0,
+        chunkSize,
+        position,
+      );
+      if (bytesRead === 0) break;
+      let written = 0;
+      while (written < bytesRead) {
+        const { bytesWritten } = await destHandle.write(
+          buffer,
+          written,
+          bytesRead - written,
+          position + written,
+        );
+        written += bytesWritten;
+      }
+      position += bytesRead;
+      if (onProgress) await onProgress(bytesRead);
+    }
+    await destHandle.chmod(stats.mode & 0o7777);
+    await destHandle.close();
+    destHandle = null;
+    await fs.rename(partialPath, destination);
+  } catch (err) {
+    if (destHandle) {
+      try {
+        await destHandle.close();
+      } catch {}
+    }
+    await fs.rm(partialPath, { force: true });
+    throw err;
+  } finally {
+    await sourceHandle.close();
+  }
+}
+
+function hashFile(filePath, checkCancelled) {
+  const crypto = require("crypto");
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    const stream = fsSync.createReadStream(filePath);
+    stream.on("error", reject);
+    stream.on("data", (chunk) => {
+      try {
+        if (checkCancelled) checkCancelled();
+      } catch (err) {
+        stream.destroy();
+        reject(err);
+        return;
+      }
+      hash.update(chunk);
+    });
+    stream.on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+async function copyDirectory(source, destination, options = {}) {
+  const preserveMetadata = options.preserveMetadata !== false;
+  await fs.mkdir(destination, { recursive: true });
+  const items = await fs.readdir(source, { withFileTypes: true });
+
+  for (const item of items) {
+    const srcPath = path.join(source, item.name);
+    const destPath = path.join(destination, item.name);
+
+    if (item.isSymbolicLink() && preserveMetadata) {
+      await copySymlink(srcPath, destPath, await fs.lstat(srcPath));
+    } else if (
+      item.isDirectory() ||
+      (item.isSymbolicLink() && (await fs.stat(srcPath)).isDirectory())
+    ) {
+      await copyDirectory(srcPath, destPath, options);
+    } else {
+      await fs.copyFile(srcPath, destPath);
+      if (preserveMetadata) {
+        await applyEntryMetadata(
+          srcPath,
+          destPath,
+          await fs.lstat(srcPath),
+          options.xattrs,
+        );
+      }
+    }
+  }
+
+  if (preserveMetadata) {
+    await applyEntryMetadata(
+      source,
+      destination,
+      await fs.lstat(source),
+      options.xattrs,
+    );
+  }
+}
+
+async function movePath(sourcePath, destPath) {
+  try {
+    await fs.rename(sourcePath, destPath);
+    return;
+  } catch {}
+  const stats = await fs.lstat(sourcePath);
+  if (stats.isSymbolicLink()) {
+    await copySymlink(sourcePath, destPath, stats);
+    await fs.unlink(sourcePath);
+  } else if (stats.isDirectory()) {
+    const xattrs = await captureExtendedAttributes(sourcePath);
+    await copyDirectory(sourcePath, destPath, { xattrs });
+    await xattrs.apply();
+    await fs.rm(sourcePath, { recursive: true });
+  } else {
+    const xattrs = await captureExtendedAttributes(sourcePath);
+    await fs.copyFile(sourcePath, destPath);
+    await applyEntryMetadata(sourcePath, destPath, stats, xattrs);
+    await xattrs.apply();
+    await fs.unlink(sourcePath);
+  }
+}
+
+ipcMain.handle("move-item", async (event, sourcePath, destPath) => {
+  try {
+    await movePath(sourcePath, destPath);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+const OPERATION_JOURNAL_WRITE_DELAY_MS = 1000;
+let operationJournal = null;
+let operationJournalWrite = Promise.resolve();
+let operationJournalTimer = null;
+
+function getOperationJournalPath() {
+  return path.join(app.getPath("userData"), "operation-journal.json");
+}
+
+async function loadOperationJournal() {
+  if (operationJournal) return operationJournal;
+  operationJournal = { queue: [], history: [] };
+  try {
+    const raw = await fs.readFile(getOperationJournalPath(), "utf8");
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed.queue)) operationJournal.queue = parsed.queue;
+    if (Array.isArray(parsed.history)) operationJournal.history = parsed.history;
+  } catch {}
+  return operationJournal;
+}
+
+function writeOperationJournal() {
+  clearTimeout(operationJournalTimer);
+  operationJournalTimer = null;
+  if (!operationJournal) return operationJournalWrite;
+  const journalPath = getOperationJournalPath();
+  operationJournalWrite = operationJournalWrite
+    .then(async () => {
+      const tempPath = `${journalPath}.tmp`;
+      await fs.mkdir(path.dirname(journalPath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(operationJournal));
+      await fs.rename(tempPath, journalPath);
+    })
+    .catch((error) => {
+      console.error("Failed to write operation journal:", error);
+    });
+  return operationJournalWrite;
+}
+
+function flushOperationJournalSync() {
+  if (!operationJournalTimer) return;
+  clearTimeout(operationJournalTimer);
+  operationJournalTimer = null;
+  try {
+    fsSync.writeFileSync(
+      getOperationJournalPath(),
+      JSON.stringify(operationJournal),
+    );
+  } catch (error) {
+    console.error("Failed to write operation journal:", error);
+  }
+}
+
+function updateJournalEntry(operationId, patch, { immediate = false } = {}) {
+  if (!operationJournal || !operationId) return;
+  const entry = operationJournal.queue.find((e) => e.id === operationId);
+  if (!entry) return;
+  Object.assign(entry, patch);
+  if (immediate) {
+    return writeOperationJournal();
+  }
+  if (!operationJournalTimer) {
+    operationJournalTimer = setTimeout(
+      writeOperationJournal,
+      OPERATION_JOURNAL_WRITE_DELAY_MS,
+    );
+  }
+}
+
+ipcMain.handle("load-operation-journal", async () => {
+  const journal = await loadOperationJournal();
+  return { queue: journal.queue, history: journal.history };
+});
+
+ipcMain.handle("save-operation-journal", async (event, snapshot) => {
+  const journal = await loadOperationJournal();
+  const previous = new Map(journal.queue.map((entry) => [entry.id, entry]));
+  journal.queue = (snapshot?.queue || []).map((entry) => {
+    const existing = previous.get(entry.id);
+    if (!existing) return entry;
+    return {
+      ...entry,
+      results: entry.results || existing.results,
+      pending: entry.pending || existing.pending,
+    };
+  });
+  journal.history = snapshot?.history || [];
+  await writeOperationJournal();
+  return { success: true };
+});
+
+ipcMain.handle("rollback-interrupted-operation", async (event, entry) => {
+  if (!entry || !entry.journal) {
+    return { success: false, error: "Operation not found" };
+  }
+
+  const isCopy = entry.journal.operation === "copy";
+  const failed = [];
+  const leftInPlace = [];
+
+  const exists = async (p) => {
+    try {
+      await fs.lstat(p);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const undoTransfer = async (source, dest) => {
+    if (!(await exists(dest))) return;
+    if (isCopy) {
+      await fs.rm(dest, { recursive: true, force: true });
+    } else if (await exists(source)) {
+      leftInPlace.push(dest);
+    } else {
+      await fs.mkdir(path.dirname(source), { recursive: true });
+      await movePath(dest, source);
+    }
+  };
+
+  const restoreBackup = async (item) => {
+    if (!(await exists(item.backupPath))) return;
+    if (
+      !isCopy &&
+      (await exists(item.dest)) &&
+      !(await exists(item.source))
+    ) {
+      await fs.mkdir(path.dirname(item.source), { recursive: true });
+      await movePath(item.dest, item.source);
+    }
+    await fs.rm(item.dest, { recursive: true, force: true });
+    await fs.rename(item.backupPath, item.dest);
+  };
+
+  const undoMergeEntries = async (entries) => {
+    for (const mergeEntry of [...entries].reverse()) {
+      if (mergeEntry.status === "failed") continue;
+      try {
+        if (mergeEntry.backupPath) {
+          await restoreBackup(mergeEntry);
+        } else if (isCopy && mergeEntry.status === "replaced") {
+          leftInPlace.push(mergeEntry.dest);
+        } else {
+          await undoTransfer(mergeEntry.source, mergeEntry.dest);
+        }
+      } catch (error) {
+        failed.push({ path: mergeEntry.dest, error: error.message });
+      }
+    }
+  };
+
+  const pending = entry.pending;
+  if (pending) {
+    try {
+      if (pending.status === "replaced" && pending.backupPath) {
+        await restoreBackup(pending);
+      } else if (pending.status === "merged") {
+        if (pending.entries) {
+          await undoMergeEntries(pending.entries);
+        } else {
+          leftInPlace.push(pending.dest);
+        }
+      } else {
+        await undoTransfer(pending.source, pending.dest);
+      }
+    } catch (error) {
+      failed.push({ path: pending.dest, error: error.message });
+    }
+  }
+
+  for (const result of [...(entry.results || [])].reverse()) {
+    if (result.entries) {
+      await undoMergeEntries(result.entries);
+      continue;
+    }
+    if (result.status === "skipped" || result.status === "failed") continue;
+    if (
+      result.status === "merged" ||
+      (isCopy && result.status === "replaced")
+    ) {
+      leftInPlace.push(result.dest);
+      continue;
+    }
+    try {
+      await undoTransfer(result.source, result.dest);
+    } catch (error) {
+      failed.push({ path: result.dest, error: error.message });
+    }
+  }
+
+  if (failed.length > 0) {
+    return {
+      success: false,
+      error: `Could not roll back ${failed.length} item(s)`,
+      failed,
+      leftInPlace,
+    };
   }
+  return { success: true, leftInPlace };
 });
 
-ipcMain.handle("create-file", async (event, parentPath, fileName) => {
-  try {
-    const basePath = path.resolve(parentPath);
-    const desiredPath = path.join(basePath, fileName);
+function describeEntryStats(stats) {
+  return {
+    isDirectory: stats.isDirectory(),
+    size: stats.isDirectory() ? 0 : stats.size,
+    modified: stats.mtime,
+  };
+}
 
-    await fs.mkdir(basePath, { recursive: true });
+function requestConflictResolution(sender, conflict) {
+  if (!sender || sender.isDestroyed()) {
+    return Promise.resolve({ action: "cancel" });
+  }
+  const id = `conflict-${Date.now()}-${conflictSequence++}`;
+  return new Promise((resolve) => {
+    pendingConflicts.set(id, {
+      resolve,
+      operationId: conflict.operationId || null,
+    });
+    sender.send("file-operation-conflict", { ...conflict, id });
+  });
+}
 
-    try {
-      const fh = await fs.open(desiredPath, "wx");
-      await fh.close();
-      return { success: true, path: desiredPath };
-    } catch (err) {
-      if (err && err.code === "EEXIST") {
-        const uniquePath = await findUniquePath(desiredPath, "file");
-        const fh = await fs.open(uniquePath, "wx");
-        await fh.close();
-        return { success: true, path: uniquePath };
-      }
-      throw err;
-    }
-  } catch (error) {
-    return { success: false, error: error.message };
+ipcMain.handle("resolve-file-conflict", async (event, conflictId, resolution) => {
+  const pending = pendingConflicts.get(conflictId);
+  if (!pending) return { success: false, error: "Unknown conflict" };
+  pendingConflicts.delete(conflictId);
+  pending.resolve(resolution || { action: "cancel" });
+  return { success: true };
+});
+
+function setOperationPaused(operationId, paused) {
+  const key = String(operationId);
+  const control = operationControls.get(key);
+  if (control) {
+    control.paused = paused;
+    return { success: true };
+  }
+  const archiveProcess = activeArchiveProcesses.get(key);
+  if (!archiveProcess) {
+    return { success: false, error: "Operation is not running" };
   }
+  if (paused) {
+    pausedArchiveOperations.add(key);
+  } else {
+    pausedArchiveOperations.delete(key);
+  }
+  archiveProcess.kill(paused ? "SIGSTOP" : "SIGCONT");
+  return { success: true };
+}
+
+ipcMain.handle("pause-operation", async (event, operationId) =>
+  setOperationPaused(operationId, true),
+);
+
+ipcMain.handle("resume-operation", async (event, operationId) =>
+  setOperationPaused(operationId, false),
+);
+
+ipcMain.handle("set-operation-throttle", async (event, operationId, bytesPerSecond) => {
+  const control = operationControls.get(String(operationId));
+  if (!control) return { success: false, error: "Operation is not running" };
+  control.bytesPerSecond = Math.max(0, Number(bytesPerSecond) || 0);
+  control.resetThrottle = true;
+  return { success: true };
 });
 
-async function findUniquePath(desiredPath, kind) {
-  const dir = path.dirname(desiredPath);
-  const parsed = path.parse(desiredPath);
+ipcMain.handle("cancel-operation", async (event, operationId) => {
+  if (!operationId) return { success: false, error: "Missing operation id" };
+  cancelOperations.add(String(operationId));
+  const archiveProcess = activeArchiveProcesses.get(String(operationId));
+  if (archiveProcess) {
+    archiveProcess.kill("SIGTERM");
+    if (pausedArchiveOperations.delete(String(operationId))) {
+      archiveProcess.kill("SIGCONT");
+    }
+  }
+  for (const [id, pending] of pendingConflicts) {
+    if (pending.operationId === String(operationId)) {
+      pendingConflicts.delete(id);
+      pending.resolve({ action: "cancel" });
+    }
+  }
+  return { success: true };
+});
 
-  const baseName = kind === "file" ? parsed.name : parsed.base;
-  const ext = kind === "file" ? parsed.ext : "";
+async function findExistingAncestor(targetPath) {
+  let current = path.resolve(targetPath);
+  while (true) {
+    try {
+      await fs.stat(current);
+      return current;
+    } catch {}
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
 
-  for (let i = 1; i < 10000; i++) {
-    const candidateName = `${baseName} (${i})${ext}`;
-    const candidatePath = path.join(dir, candidateName);
+async function findSpaceShortfall(items, operation, itemTotals) {
+  const required = new Map();
+  for (const item of items) {
+    const destDir = await findExistingAncestor(path.dirname(item.dest));
+    if (!destDir) continue;
+    let srcStats;
+    let destStats;
     try {
-      await fs.access(candidatePath);
+      srcStats = await fs.lstat(item.source);
+      destStats = await fs.stat(destDir);
     } catch {
-      return candidatePath;
+      continue;
     }
+    if (operation !== "copy" && srcStats.dev === destStats.dev) continue;
+    const entry = required.get(destStats.dev) || { path: destDir, bytes: 0 };
+    entry.bytes += itemTotals.get(item.source)?.bytes || 0;
+    required.set(destStats.dev, entry);
   }
 
-  throw new Error("Could not find a unique name");
-}
-
-ipcMain.handle("copy-item", async (event, sourcePath, destPath) => {
-  try {
-    const stats = await fs.stat(sourcePath);
-    if (stats.isDirectory()) {
-      await copyDirectory(sourcePath, destPath);
-    } else {
-      await fs.copyFile(sourcePath, destPath);
+  for (const entry of required.values()) {
+    if (entry.bytes === 0) continue;
+    const space = await getDiskSpace(entry.path);
+    if (space && space.free < entry.bytes) {
+      return { path: entry.path, required: entry.bytes, available: space.free };
     }
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
   }
-});
+  return null;
+}
 
-async function copyDirectory(source, destination) {
-  await fs.mkdir(destination, { recursive: true });
-  const items = await fs.readdir(source, { withFileTypes: true });
+let blockDeviceCache = null;
 
-  for (const item of items) {
-    const srcPath = path.join(source, item.name);
-    const destPath = path.join(destination, item.name);
+async function getBlockDeviceMounts() {
+  if (blockDeviceCache && Date.now() - blockDeviceCache.at < 10000) {
+    return blockDeviceCache.mounts;
+  }
 
-    if (item.isDirectory()) {
-      await copyDirectory(srcPath, destPath);
-    } else {
-      await fs.copyFile(srcPath, destPath);
+  const { exec } = require("child_process");
+  const util = require("util");
+  const execPromise = util.promisify(exec);
+
+  const mounts = [];
+  const cmd = "lsblk -J -o NAME,TYPE,MOUNTPOINT,MODEL 2>/dev/null";
+  try {
+    const { stdout } = await execPromise(cmd);
+    const data = JSON.parse(stdout);
+    const walk = (device, disk) => {
+      if (device.mountpoint && device.mountpoint !== "[SWAP]") {
+        mounts.push({ mountpoint: device.mountpoint, disk });
+      }
+      for (const child of device.children || []) walk(child, disk);
+    };
+    for (const device of data.blockdevices || []) {
+      walk(device, {
+        name: device.name,
+        label: device.model
+          ? `${device.model.trim()} (${device.name})`
+          : device.name,
+      });
     }
+  } catch (err) {
+    logCommandFailure(cmd, err);
   }
+
+  blockDeviceCache = { at: Date.now(), mounts };
+  return mounts;
 }
 
-ipcMain.handle("move-item", async (event, sourcePath, destPath) => {
+async function resolveDeviceLane(targetPath) {
+  const existing = await findExistingAncestor(targetPath);
+  if (!existing) return { lane: "default", label: "Other" };
+
+  let resolved = existing;
   try {
-    await fs.rename(sourcePath, destPath);
-    return { success: true };
-  } catch (error) {
-    try {
-      const stats = await fs.stat(sourcePath);
-      if (stats.isDirectory()) {
-        await copyDirectory(sourcePath, destPath);
-        await fs.rm(sourcePath, { recursive: true });
-      } else {
-        await fs.copyFile(sourcePath, destPath);
-        await fs.unlink(sourcePath);
+    resolved = await fs.realpath(existing);
+  } catch {}
+
+  if (process.platform === "linux") {
+    const mounts = await getBlockDeviceMounts();
+    let best = null;
+    for (const mount of mounts) {
+      const prefix = mount.mountpoint.endsWith("/")
+        ? mount.mountpoint
+        : `${mount.mountpoint}/`;
+      const matches =
+        resolved === mount.mountpoint || resolved.startsWith(prefix);
+      if (matches && (!best || mount.mountpoint.length > best.mountpoint.length)) {
+        best = mount;
       }
-      return { success: true };
-    } catch (copyError) {
-      return { success: false, error: copyError.message };
+    }
+    if (best) {
+      try {
+        const [targetStats, mountStats] = await Promise.all([
+          fs.stat(resolved),
+          fs.stat(best.mountpoint),
+        ]);
+        if (targetStats.dev === mountStats.dev) {
+          return { lane: `disk:${best.disk.name}`, label: best.disk.label };
+        }
+      } catch {}
     }
   }
-});
 
-ipcMain.handle("cancel-operation", async (event, operationId) => {
-  if (!operationId) return { success: false, error: "Missing operation id" };
-  cancelOperations.add(String(operationId));
-  return { success: true };
+  try {
+    const stats = await fs.stat(resolved);
+    return { lane: `dev:${stats.dev}`, label: resolved };
+  } catch {
+    return { lane: "default", label: "Other" };
+  }
+}
+
+ipcMain.handle("get-operation-lane", async (event, targetPaths) => {
+  const paths = [
+    ...new Set(
+      (Array.isArray(targetPaths) ? targetPaths : [targetPaths]).filter(
+        Boolean,
+      ),
+    ),
+  ];
+  if (paths.length === 0) {
+    return { lane: "default", label: "Other", lanes: ["default"] };
+  }
+  const resolved = [];
+  for (const targetPath of paths) {
+    resolved.push(await resolveDeviceLane(targetPath));
+  }
+  return {
+    ...resolved[0],
+    lanes: [...new Set(resolved.map((entry) => entry.lane))],
+  };
 });
 
-ipcMain.handle("batch-file-operation", async (event, items, operation, operationId) => {
+ipcMain.handle("batch-file-operation", async (event, items, operation, operationId, options = {}) => {
+  const preserveMetadata = options.preserveMetadata !== false;
+  const verifyAfterCopy = Boolean(options.verifyAfterCopy);
+  const verification = { checked: 0, mismatches: [] };
   const cancelKey = operationId ? String(operationId) : null;
+  const control = {
+    paused: false,
+    bytesPerSecond: Math.max(0, Number(options.bytesPerSecond) || 0),
+    resetThrottle: false,
+  };
   const shouldCancel = () =>
     Boolean(cancelKey && cancelOperations.has(cancelKey));
   const checkCancelled = () => {
@@ -935,84 +2930,537 @@ ipcMain.handle("batch-file-operation", async (event, items, operation, operation
   let processedBytes = 0;
   let totalFiles = 0;
   let processedFiles = 0;
+  let currentFile = "";
 
-  const itemSizes = new Map();
+  const itemTotals = new Map();
 
-  const scan = async (p, rootItemPath) => {
-    checkCancelled();
-    try {
-      const stats = await fs.stat(p);
-      if (stats.isDirectory()) {
-        const children = await fs.readdir(p);
-        for (const c of children) await scan(path.join(p, c), rootItemPath);
-      } else {
-        totalBytes += stats.size;
-        totalFiles++;
-        itemSizes.set(
-          rootItemPath,
-          (itemSizes.get(rootItemPath) || 0) + stats.size,
-        );
+  const measureEntry = async (p) => {
+    const totals = { bytes: 0, files: 0 };
+    const walk = async (entryPath) => {
+      checkCancelled();
+      try {
+        const stats = preserveMetadata
+          ? await fs.lstat(entryPath)
+          : await fs.stat(entryPath);
+        if (stats.isSymbolicLink()) {
+          totals.files++;
+        } else if (stats.isDirectory()) {
+          const children = await fs.readdir(entryPath);
+          for (const c of children) await walk(path.join(entryPath, c));
+        } else {
+          totals.bytes += stats.size;
+          totals.files++;
+        }
+      } catch (err) {
+        if (err?.code === "CANCELLED") throw err;
       }
-    } catch {}
+    };
+    await walk(p);
+    return totals;
   };
 
-  for (const item of items) {
-    await scan(item.source, item.source);
-  }
+  let lastReportAt = 0;
+  let speedSampleAt = Date.now();
+  let speedSampleBytes = 0;
+  let bytesPerSecond = 0;
+
+  const reportProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastReportAt < PROGRESS_REPORT_INTERVAL_MS) return;
+    lastReportAt = now;
+
+    const sampleElapsed = now - speedSampleAt;
+    if (sampleElapsed >= 1000) {
+      const sampleSpeed =
+        ((processedBytes - speedSampleBytes) * 1000) / sampleElapsed;
+      bytesPerSecond = bytesPerSecond
+        ? bytesPerSecond * 0.6 + sampleSpeed * 0.4
+        : sampleSpeed;
+      speedSampleAt = now;
+      speedSampleBytes = processedBytes;
+    }
+
+    const percent =
+      totalBytes > 0
+        ? (processedBytes / totalBytes) * 100
+        : (processedFiles / Math.max(1, totalFiles)) * 100;
+    event.sender.send("file-operation-progress", {
+      operationId: cancelKey,
+      percent: Math.min(100, percent),
+      currentFile,
+      paused: control.paused,
+      bytesPerSecondLimit: control.bytesPerSecond,
+      filesDone: processedFiles,
+      filesTotal: totalFiles,
+      bytesDone: processedBytes,
+      bytesTotal: totalBytes,
+      bytesPerSecond,
+      etaSeconds:
+        bytesPerSecond > 0
+          ? Math.max(0, totalBytes - processedBytes) / bytesPerSecond
+          : null,
+    });
+  };
+
+  const markProcessed = (totals) => {
+    processedBytes += totals.bytes;
+    processedFiles += totals.files;
+    reportProgress();
+  };
+
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  let throttleStartedAt = Date.now();
+  let throttledBytes = 0;
+
+  const waitWhilePaused = async () => {
+    checkCancelled();
+    if (!control.paused) return;
+    reportProgress(true);
+    while (control.paused) {
+      await delay(200);
+      checkCancelled();
+    }
+    control.resetThrottle = true;
+    reportProgress(true);
+  };
 
-  if (totalBytes === 0) totalBytes = 1;
+  const throttle = async (bytes) => {
+    if (control.resetThrottle || !control.bytesPerSecond) {
+      control.resetThrottle = false;
+      throttleStartedAt = Date.now();
+      throttledBytes = 0;
+    }
+    if (!control.bytesPerSecond) return;
+    throttledBytes += bytes;
+    const expectedMs = (throttledBytes / control.bytesPerSecond) * 1000;
+    const elapsedMs = Date.now() - throttleStartedAt;
+    if (expectedMs > elapsedMs) await delay(expectedMs - elapsedMs);
+  };
+
+  const verifyCopiedFile = async (src, dest) => {
+    currentFile = path.basename(src);
+    reportProgress();
+    try {
+      const [sourceHash, destHash] = await Promise.all([
+        hashFile(src, checkCancelled),
+        hashFile(dest, checkCancelled),
+      ]);
+      verification.checked++;
+      if (sourceHash !== destHash) {
+        verification.mismatches.push({ source: src, dest });
+      }
+    } catch (err) {
+      if (err?.code === "CANCELLED") throw err;
+      verification.checked++;
+      verification.mismatches.push({ source: src, dest, error: err.message });
+    }
+  };
 
-  const reportProgress = () => {
-    const percent = Math.min(100, (processedBytes / totalBytes) * 100);
-    event.sender.send("file-operation-progress", percent);
+  let itemXattrsRoot = null;
+  let itemXattrs = null;
+  const captureItemXattrs = async () => {
+    if (preserveMetadata && !itemXattrs) {
+      itemXattrs = await captureExtendedAttributes(itemXattrsRoot);
+    }
   };
 
   const copyRecursive = async (src, dest) => {
     checkCancelled();
-    const stats = await fs.stat(src);
-    if (stats.isDirectory()) {
+    const stats = preserveMetadata ? await fs.lstat(src) : await fs.stat(src);
+    if (stats.isSymbolicLink()) {
+      currentFile = path.basename(src);
+      await copySymlink(src, dest, stats);
+      markProcessed({ bytes: 0, files: 1 });
+    } else if (stats.isDirectory()) {
       await fs.mkdir(dest, { recursive: true });
       const children = await fs.readdir(src);
       for (const child of children) {
         await copyRecursive(path.join(src, child), path.join(dest, child));
       }
+      if (preserveMetadata) {
+        await applyEntryMetadata(src, dest, stats, itemXattrs);
+      }
+    } else {
+      await waitWhilePaused();
+      currentFile = path.basename(src);
+      reportProgress();
+      if (stats.size >= CHUNKED_COPY_THRESHOLD || control.bytesPerSecond) {
+        await copyFileChunked(src, dest, {
+          checkCancelled,
+          chunkSize: control.bytesPerSecond
+            ? Math.min(
+                COPY_CHUNK_SIZE,
+                Math.max(64 * 1024, Math.floor(control.bytesPerSecond / 4)),
+              )
+            : COPY_CHUNK_SIZE,
+          onProgress: async (bytes) => {
+            processedBytes += bytes;
+            reportProgress();
+            await throttle(bytes);
+            await waitWhilePaused();
+          },
+        });
+        if (preserveMetadata) {
+          await applyEntryMetadata(src, dest, stats, itemXattrs);
+        }
+        if (verifyAfterCopy) await verifyCopiedFile(src, dest);
+        markProcessed({ bytes: 0, files: 1 });
+        return;
+      }
+      await fs.copyFile(src, dest);
+      if (preserveMetadata) {
+        await applyEntryMetadata(src, dest, stats, itemXattrs);
+      }
+      if (verifyAfterCopy) await verifyCopiedFile(src, dest);
+      markProcessed({ bytes: stats.size, files: 1 });
+      await throttle(stats.size);
+    }
+  };
+
+  const conflictPolicies = {};
+  let mergeFilePolicy = null;
+
+  const resolveConflict = async (item, srcStats, destStats, presetAction) => {
+    const kind =
+      srcStats.isDirectory() && destStats.isDirectory()
+        ? "folder"
+        : !srcStats.isDirectory() && !destStats.isDirectory()
+          ? "file"
+          : "mixed";
+    const samePath = path.resolve(item.source) === path.resolve(item.dest);
+
+    let action = presetAction || conflictPolicies[kind];
+    if (!action) {
+      const answer = await requestConflictResolution(event.sender, {
+        operationId: cancelKey,
+        operation,
+        kind,
+        samePath,
+        source: item.source,
+        dest: item.dest,
+        sourceInfo: describeEntryStats(srcStats),
+        destInfo: describeEntryStats(destStats),
+      });
+      checkCancelled();
+      if (!answer || answer.action === "cancel") {
+        const err = new Error("Operation cancelled");
+        err.code = "CANCELLED";
+        throw err;
+      }
+      action = answer.action;
+      if (answer.applyToAll) conflictPolicies[kind] = action;
+      if (action === "merge" && answer.mergePolicy && answer.mergePolicy !== "ask") {
+        mergeFilePolicy = answer.mergePolicy;
+      }
+    }
+
+    if (action === "replaceIfNewer") {
+      action = srcStats.mtimeMs > destStats.mtimeMs ? "replace" : "skip";
+    }
+    if (action === "merge" && kind !== "folder") action = "keepBoth";
+    if (samePath && action !== "skip") action = "keepBoth";
+    return action;
+  };
+
+  const prepareDestination = async (item) => {
+    let destStats = null;
+    try {
+      destStats = await fs.lstat(item.dest);
+    } catch {}
+    if (!destStats) return { dest: item.dest, status: "done" };
+
+    const srcStats = await fs.lstat(item.source);
+    const action = await resolveConflict(item, srcStats, destStats);
+
+    if (action === "skip") return null;
+    if (action === "merge") {
+      return { dest: item.dest, status: "merged", entries: [] };
+    }
+    if (action === "replace") {
+      const backupPath = await findUniquePath(
+        `${item.dest}.ezfm-replaced`,
+        "folder",
+      );
+      return { dest: item.dest, status: "replaced", backupPath };
+    }
+
+    const uniquePath = await findUniquePath(
+      item.dest,
+      srcStats.isDirectory() ? "folder" : "file",
+    );
+    return { dest: uniquePath, status: "renamed" };
+  };
+
+  const copyVerified = async (src, dest) => {
+    const mismatchesBefore = verification.mismatches.length;
+    await captureItemXattrs();
+    await copyRecursive(src, dest);
+    if (verification.mismatches.length > mismatchesBefore) {
+      const err = new Error("Checksum verification failed");
+      err.code = "VERIFY_FAILED";
+      throw err;
+    }
+  };
+
+  const transferEntry = async (src, dest, totals) => {
+    if (operation === "copy") {
+      await copyVerified(src, dest);
+      return;
+    }
+    try {
+      await waitWhilePaused();
+      currentFile = path.basename(src);
+      await fs.rename(src, dest);
+      markProcessed(totals);
+      return;
+    } catch (err) {
+      if (err?.code === "CANCELLED") throw err;
+    }
+    await copyVerified(src, dest);
+    await fs.rm(src, { recursive: true, force: true });
+  };
+
+  const keepReplacedOriginal = async (backupPath) => {
+    try {
+      await trashPath(backupPath);
+      return backupPath;
+    } catch {
+      await fs.rm(backupPath, { recursive: true, force: true });
+      return null;
+    }
+  };
+
+  const transferMergeEntry = async (entries, entry, totals) => {
+    entries.push(entry);
+    if (entry.backupPath) {
+      await updateJournalEntry(cancelKey, {}, { immediate: true });
+      await fs.rename(entry.dest, entry.backupPath);
+    } else {
+      updateJournalEntry(cancelKey, {});
+    }
+    try {
+      await transferEntry(entry.source, entry.dest, totals);
+    } catch (err) {
+      if (entry.backupPath) {
+        await fs.rm(entry.dest, { recursive: true, force: true });
+        await fs.rename(entry.backupPath, entry.dest);
+      } else if (err?.code === "VERIFY_FAILED") {
+        await fs.rm(entry.dest, { recursive: true, force: true });
+      }
+      if (entry.backupPath || err?.code === "VERIFY_FAILED") {
+        entry.status = "failed";
+        delete entry.backupPath;
+      }
+      throw err;
+    }
+    if (entry.backupPath) {
+      const replacedBackup = await keepReplacedOriginal(entry.backupPath);
+      if (replacedBackup) entry.replacedBackup = replacedBackup;
+      delete entry.backupPath;
+    }
+  };
+
+  const mergeRecursive = async (src, dest, summary, entries) => {
+    checkCancelled();
+    const children = await fs.readdir(src);
+    for (const child of children) {
+      checkCancelled();
+      const srcChild = path.join(src, child);
+      const destChild = path.join(dest, child);
+      const srcStats = await fs.lstat(srcChild);
+      let destStats = null;
+      try {
+        destStats = await fs.lstat(destChild);
+      } catch {}
+
+      if (!destStats) {
+        await transferMergeEntry(
+          entries,
+          { source: srcChild, dest: destChild, status: "done" },
+          await measureEntry(srcChild),
+        );
+        summary.added++;
+        continue;
+      }
+
+      if (srcStats.isDirectory() && destStats.isDirectory()) {
+        await mergeRecursive(srcChild, destChild, summary, entries);
+        continue;
+      }
+
+      const action = await resolveConflict(
+        { source: srcChild, dest: destChild },
+        srcStats,
+        destStats,
+        mergeFilePolicy,
+      );
+      const totals = await measureEntry(srcChild);
+
+      if (action === "skip") {
+        summary.skipped++;
+        markProcessed(totals);
+        continue;
+      }
+
+      if (action === "replace") {
+        const backupPath = await findUniquePath(
+          `${destChild}.ezfm-replaced`,
+          "folder",
+        );
+        await transferMergeEntry(
+          entries,
+          { source: srcChild, dest: destChild, status: "replaced", backupPath },
+          totals,
+        );
+        summary.replaced++;
+        continue;
+      }
+
+      const uniquePath = await findUniquePath(
+        destChild,
+        srcStats.isDirectory() ? "folder" : "file",
+      );
+      await transferMergeEntry(
+        entries,
+        { source: srcChild, dest: uniquePath, status: "renamed" },
+        totals,
+      );
+      summary.renamed++;
+    }
+
+    if (operation !== "copy") {
+      try {
+        await fs.rmdir(src);
+      } catch {}
+    }
+  };
+
+  const transferItem = async (item, target) => {
+    itemXattrsRoot = item.source;
+    itemXattrs = null;
+    if (target.status === "merged") {
+      target.summary = { added: 0, replaced: 0, skipped: 0, renamed: 0 };
+      await mergeRecursive(
+        item.source,
+        target.dest,
+        target.summary,
+        target.entries,
+      );
     } else {
-      checkCancelled();
-      await fs.copyFile(src, dest);
-      processedBytes += stats.size;
-      processedFiles++;
-      reportProgress();
+      await fs.mkdir(path.dirname(target.dest), { recursive: true });
+      await transferEntry(item.source, target.dest, itemTotals.get(item.source));
     }
+    if (itemXattrs) await itemXattrs.apply();
   };
 
+  const results = [];
+  if (cancelKey) operationControls.set(cancelKey, control);
+
   try {
+    const measuredTotals =
+      Array.isArray(options.measuredTotals) &&
+      options.measuredTotals.length === items.length
+        ? options.measuredTotals
+        : null;
+    for (const [index, item] of items.entries()) {
+      const totals = measuredTotals
+        ? {
+            bytes: Number(measuredTotals[index]?.bytes) || 0,
+            files: Number(measuredTotals[index]?.files) || 0,
+          }
+        : await measureEntry(item.source);
+      itemTotals.set(item.source, totals);
+      totalBytes += totals.bytes;
+      totalFiles += totals.files;
+    }
+
+    if (!options.skipSpaceCheck) {
+      const shortfall = await findSpaceShortfall(items, operation, itemTotals);
+      if (shortfall) {
+        return {
+          success: false,
+          insufficientSpace: true,
+          error: "Not enough free space at destination",
+          ...shortfall,
+          measuredTotals: items.map((item) => itemTotals.get(item.source)),
+        };
+      }
+    }
+
     for (const item of items) {
-      checkCancelled();
-      if (operation === "copy") {
-        await copyRecursive(item.source, item.dest);
-      } else {
-        try {
-          checkCancelled();
-          await fs.rename(item.source, item.dest);
-
-          const size = itemSizes.get(item.source) || 0;
-          processedBytes += size;
-          reportProgress();
-        } catch (err) {
-          await copyRecursive(item.source, item.dest);
-          await fs.rm(item.source, { recursive: true, force: true });
+      await waitWhilePaused();
+      const target = await prepareDestination(item);
+      if (!target) {
+        markProcessed(itemTotals.get(item.source));
+        results.push({ source: item.source, dest: item.dest, status: "skipped" });
+        updateJournalEntry(cancelKey, { results });
+        continue;
+      }
+
+      await updateJournalEntry(
+        cancelKey,
+        {
+          pending: {
+            source: item.source,
+            dest: target.dest,
+            status: target.status,
+            backupPath: target.backupPath || null,
+            ...(target.entries ? { entries: target.entries } : {}),
+          },
+        },
+        { immediate: Boolean(target.backupPath) },
+      );
+      if (target.backupPath) await fs.rename(target.dest, target.backupPath);
+
+      try {
+        await transferItem(item, target);
+      } catch (err) {
+        if (target.backupPath) {
+          await fs.rm(target.dest, { recursive: true, force: true });
+          await fs.rename(target.backupPath, target.dest);
+        } else if (err?.code === "VERIFY_FAILED" && target.status !== "merged") {
+          await fs.rm(target.dest, { recursive: true, force: true });
         }
+        if (err?.code !== "VERIFY_FAILED") throw err;
+        results.push({
+          source: item.source,
+          dest: target.dest,
+          status: "failed",
+          error: err.message,
+          ...(target.entries ? { entries: target.entries } : {}),
+        });
+        updateJournalEntry(cancelKey, { results, pending: null });
+        continue;
       }
+      const replacedBackup = target.backupPath
+        ? await keepReplacedOriginal(target.backupPath)
+        : null;
+      results.push({
+        source: item.source,
+        dest: target.dest,
+        status: target.status,
+        ...(target.summary ? { summary: target.summary } : {}),
+        ...(target.entries ? { entries: target.entries } : {}),
+        ...(replacedBackup ? { replacedBackup } : {}),
+      });
+      updateJournalEntry(cancelKey, { results, pending: null });
     }
-    return { success: true };
+    currentFile = "";
+    reportProgress(true);
+    return {
+      success: true,
+      results,
+      ...(verifyAfterCopy ? { verification } : {}),
+    };
   } catch (error) {
     if (error?.code === "CANCELLED") {
-      return { success: false, cancelled: true, error: "Cancelled" };
+      return { success: false, cancelled: true, error: "Cancelled", results };
     }
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, results };
   } finally {
     if (cancelKey) {
       cancelOperations.delete(cancelKey);
+      operationControls.delete(cancelKey);
     }
   }
 });
@@ -1064,261 +3512,1282 @@ async function getDirectorySize(dirPath) {
   return size;
 }
 
-ipcMain.handle("clipboard-copy-paths", async (event, paths) => {
-  try {
-    const list = Array.isArray(paths) ? paths.filter(Boolean) : [];
-    if (list.length === 0)
-      return { success: false, error: "No paths provided" };
+ipcMain.handle("clipboard-copy-paths", async (event, paths) => {
+  try {
+    const list = Array.isArray(paths) ? paths.filter(Boolean) : [];
+    if (list.length === 0)
+      return { success: false, error: "No paths provided" };
+
+    clipboard.writeText(list.join("\n"));
+
+    try {
+      clipboard.write({
+        text: list.join("\n"),
+
+        "text/uri-list": list.map(toFileUrl).join("\n"),
+      });
+    } catch {}
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+
+async function resolveArchivePath(fullPath) {
+  let archivePath = fullPath;
+  let internalPath = "";
+
+  let depth = 0;
+  while (depth < 20) {
+    try {
+      const stats = await fs.stat(archivePath);
+      if (stats.isFile()) {
+        return { archivePath, internalPath: internalPath.replace(/\\/g, "/") };
+      } else if (stats.isDirectory()) {
+        return { error: "Not a directory" };
+      }
+    } catch (e) {
+      const parent = path.dirname(archivePath);
+      if (parent === archivePath) break;
+      const base = path.basename(archivePath);
+      internalPath = internalPath ? path.join(base, internalPath) : base;
+      archivePath = parent;
+    }
+    depth++;
+  }
+
+  return { error: "Path not found" };
+}
+
+const STREAM_CODECS = {
+  gzip: { command: "gzip", minLevel: 1, maxLevel: 9, sevenZip: true },
+  bzip2: { command: "bzip2", minLevel: 1, maxLevel: 9, sevenZip: true },
+  xz: { command: "xz", minLevel: 0, maxLevel: 9, args: ["-T0"], sevenZip: true },
+  zstd: { command: "zstd", minLevel: 1, maxLevel: 19, args: ["-T0", "-q"] },
+  lz4: { command: "lz4", minLevel: 1, maxLevel: 12, args: ["-q"] },
+  lzip: { command: "lzip", minLevel: 0, maxLevel: 9 },
+};
+
+function isStreamedArchive(format) {
+  return Boolean(
+    format?.codec &&
+      (format.type === "tar" || !STREAM_CODECS[format.codec].sevenZip),
+  );
+}
+
+function getDecompressCommand(codec) {
+  return [STREAM_CODECS[codec].command, ["-d", "-c"]];
+}
+
+const archivePasswords = new Map();
+
+function getArchivePasswordArgs(archivePath) {
+  return archivePasswords.has(archivePath)
+    ? [`-p${archivePasswords.get(archivePath)}`]
+    : [];
+}
+
+function isArchivePasswordError(error) {
+  return /wrong password|encrypted archive|enter password/i.test(
+    `${error?.message || ""}\n${error?.stderr || ""}`,
+  );
+}
+
+function archivePasswordFailure(archivePath) {
+  const name = path.basename(archivePath);
+  const hadPassword = archivePasswords.delete(archivePath);
+  return {
+    success: false,
+    needsPassword: true,
+    archivePath,
+    error: hadPassword
+      ? `Wrong password for ${name}`
+      : `${name} is password protected`,
+  };
+}
+
+ipcMain.handle("set-archive-password", async (event, fullPath, password) => {
+  const resolved = await resolveArchivePath(fullPath);
+  if (resolved.error) return { success: false, error: resolved.error };
+  if (typeof password === "string") {
+    archivePasswords.set(resolved.archivePath, password);
+  } else {
+    archivePasswords.delete(resolved.archivePath);
+  }
+  return { success: true };
+});
+
+async function listArchiveEntries(archivePath) {
+  const format = getArchiveFormat(archivePath);
+  if (format?.type === "compressed" && isStreamedArchive(format)) {
+    const stats = await fs.stat(archivePath);
+    return [{ Path: format.stem, Modified: stats.mtime.toISOString() }];
+  }
+
+  const args = ["l", "-slt", "-ba", "-sccUTF-8"];
+  let stdout;
+  if (isStreamedArchive(format)) {
+    const { spawn } = require("child_process");
+    const [command, decompressArgs] = getDecompressCommand(format.codec);
+    const input = fsSync.createReadStream(archivePath);
+    const decompressor = spawn(command, decompressArgs, {
+      stdio: ["pipe", "pipe", "ignore"],
+    });
+    let decompressError = null;
+    decompressor.on("error", (error) => {
+      decompressError =
+        error.code === "ENOENT" ? new Error(`${command} is not installed`) : error;
+    });
+    input.on("error", (error) => {
+      decompressError = error;
+      decompressor.kill();
+    });
+    input.pipe(decompressor.stdin);
+    decompressor.stdin.on("error", () => {});
+    try {
+      ({ stdout } = await runSevenZip([...args, "-si", "-ttar"], {
+        stdin: decompressor.stdout,
+      }));
+      if (decompressError) throw decompressError;
+    } catch (error) {
+      throw decompressError || error;
+    } finally {
+      decompressor.kill();
+      input.destroy();
+    }
+  } else {
+    ({ stdout } = await runSevenZip([
+      ...args,
+      ...getArchivePasswordArgs(archivePath),
+      "--",
+      archivePath,
+    ]));
+  }
+
+  return stdout
+    .split(/\r?\n\r?\n/)
+    .map((block) => {
+      const entry = {};
+      block.split(/\r?\n/).forEach((line) => {
+        const match = line.match(/^(\w[\w ]*?)\s=\s?(.*)$/);
+        if (match) entry[match[1]] = match[2];
+      });
+      if (!entry.Path && entry.Size && format?.type === "compressed") {
+        entry.Path = format.stem;
+      }
+      return entry;
+    })
+    .filter((entry) => entry.Path);
+}
+
+async function handleArchiveBrowsing(fullPath) {
+  const resolved = await resolveArchivePath(fullPath);
+  if (resolved.error) return { success: false, error: resolved.error };
+  const { archivePath, internalPath } = resolved;
+
+  try {
+    const entries = await listArchiveEntries(archivePath);
+
+    const contents = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+      let entryPath = entry.Path.replace(/\\/g, "/");
+
+      if (internalPath && !entryPath.startsWith(internalPath + "/"))
+        continue;
+
+      let relative = internalPath
+        ? entryPath.slice(internalPath.length + 1)
+        : entryPath;
+      if (!relative) continue;
+
+      const parts = relative.split("/");
+      const name = parts[0];
+
+      if (seen.has(name)) continue;
+      seen.add(name);
+
+      const isDirectChild = parts.length === 1;
+      const isDir =
+        !isDirectChild ||
+        entry.Folder === "+" ||
+        Boolean(entry.Attributes && entry.Attributes.includes("D"));
+
+      contents.push({
+        name: name,
+        path: path.join(fullPath, name),
+        isDirectory: isDir,
+        isFile: !isDir,
+        isSymlink: false,
+        size: isDir ? 0 : parseInt(entry.Size || "0", 10),
+        modified: entry.Modified ? new Date(entry.Modified) : null,
+        created: null,
+        extension: isDir ? null : path.extname(name).toLowerCase(),
+      });
+    }
+
+    contents.sort((a, b) => {
+      if (a.isDirectory && !b.isDirectory) return -1;
+      if (!a.isDirectory && b.isDirectory) return 1;
+      return a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+    });
+
+    return { success: true, contents, path: fullPath, isArchive: true };
+  } catch (err) {
+    if (isArchivePasswordError(err)) return archivePasswordFailure(archivePath);
+    logCommandFailure(`7z l -slt ${archivePath}`, err);
+    return {
+      success: false,
+      error: "Failed to read archive (7z required): " + err.message,
+    };
+  }
+}
+
+function isWritableArchive(archivePath) {
+  const format = getArchiveFormat(archivePath);
+  return (
+    (format?.type === "tar" && !format.codec) ||
+    (format?.type === "archive" && ["zip", "7z"].includes(format.extension))
+  );
+}
+const activeArchiveProcesses = new Map();
+const pausedArchiveOperations = new Set();
+
+function trackArchiveProcess(cancelKey, handle) {
+  activeArchiveProcesses.set(cancelKey, handle);
+  if (pausedArchiveOperations.has(cancelKey)) handle.kill("SIGSTOP");
+}
+
+function runSevenZip(args, options = {}) {
+  const { spawn } = require("child_process");
+  return new Promise((resolve, reject) => {
+    const cancelKey = options.operationId ? String(options.operationId) : null;
+    if (cancelKey && cancelOperations.has(cancelKey)) {
+      const error = new Error("Cancelled");
+      error.cancelled = true;
+      reject(error);
+      return;
+    }
+
+    const child = spawn("7z", args, {
+      cwd: options.cwd,
+      stdio: [options.stdin ? "pipe" : "ignore", "pipe", "pipe"],
+    });
+    if (cancelKey) trackArchiveProcess(cancelKey, child);
+    if (options.stdin) {
+      options.stdin.pipe(child.stdin);
+      child.stdin.on("error", () => {});
+    }
+
+    let stdout = "";
+    let stderr = "";
+    let lastPercent = -1;
+    child.stdout.on("data", (data) => {
+      const text = data.toString();
+      stdout += text;
+      if (!options.onProgress) return;
+      const percents = text.match(/(\d+)%/g);
+      if (!percents) return;
+      const percent = parseInt(percents[percents.length - 1], 10);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        options.onProgress(percent);
+      }
+    });
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    child.on("error", (error) => {
+      if (cancelKey) activeArchiveProcesses.delete(cancelKey);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      if (cancelKey) activeArchiveProcesses.delete(cancelKey);
+      if (cancelKey && cancelOperations.has(cancelKey)) {
+        const error = new Error("Cancelled");
+        error.cancelled = true;
+        reject(error);
+      } else if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        const lines = stderr.split(/\r?\n/).map((l) => l.trim());
+        const errorLine = lines.filter((l) => /ERROR: \S/.test(l)).pop();
+        const error = new Error(
+          errorLine?.replace(/^.*?ERROR:\s*/, "") ||
+            lines.filter(Boolean).pop() ||
+            `7z exited with code ${code}`,
+        );
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      }
+    });
+  });
+}
+
+async function resolveWritableArchive(fullPath) {
+  const resolved = await resolveArchivePath(fullPath);
+  if (resolved.error) throw new Error(resolved.error);
+  if (!isWritableArchive(resolved.archivePath)) {
+    throw new Error(
+      `${path.basename(resolved.archivePath)} cannot be modified (only zip, 7z and tar archives are writable)`,
+    );
+  }
+  return resolved;
+}
+
+function sendArchiveProgress(event, operationId, percent, currentFile) {
+  if (!operationId || event.sender.isDestroyed()) return;
+  event.sender.send("file-operation-progress", {
+    operationId,
+    percent,
+    currentFile,
+  });
+}
+
+async function runArchiveWrite(
+  event,
+  operationId,
+  command,
+  archivePath,
+  entries,
+  cwd,
+) {
+  const cancelKey = operationId ? String(operationId) : null;
+  const args = [command, "-bsp1", "-bso0", "-spd"];
+  const fullArgs = [
+    ...args,
+    ...getArchivePasswordArgs(archivePath),
+    "--",
+    archivePath,
+    ...entries,
+  ];
+  try {
+    await runSevenZip(fullArgs, {
+      cwd,
+      operationId,
+      onProgress: (percent) =>
+        sendArchiveProgress(
+          event,
+          operationId,
+          percent,
+          path.basename(archivePath),
+        ),
+    });
+    return { success: true };
+  } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: "Cancelled" };
+    }
+    if (isArchivePasswordError(error)) return archivePasswordFailure(archivePath);
+    logCommandFailure(`7z ${[...args, "--", archivePath, ...entries].join(" ")}`, error);
+    return { success: false, error: error.message };
+  } finally {
+    if (cancelKey) cancelOperations.delete(cancelKey);
+  }
+}
+
+async function listArchiveChildren(archivePath, internalPath) {
+  const children = new Map();
+  for (const entry of await listArchiveEntries(archivePath)) {
+    const entryPath = entry.Path.replace(/\\/g, "/");
+    if (internalPath && !entryPath.startsWith(internalPath + "/")) continue;
+    const relative = internalPath
+      ? entryPath.slice(internalPath.length + 1)
+      : entryPath;
+    if (!relative) continue;
+    const parts = relative.split("/");
+    const existing = children.get(parts[0]);
+    if (existing) {
+      if (parts.length > 1) existing.isDirectory = true;
+      continue;
+    }
+    const isDirectory =
+      parts.length > 1 ||
+      entry.Folder === "+" ||
+      Boolean(entry.Attributes && entry.Attributes.includes("D"));
+    children.set(parts[0], {
+      isDirectory,
+      size: isDirectory ? 0 : Number(entry.Size) || 0,
+      modified: entry.Modified ? new Date(entry.Modified) : null,
+    });
+  }
+  return children;
+}
+
+function findUniqueArchiveName(name, isDirectory, children) {
+  const ext = isDirectory ? "" : path.extname(name);
+  const base = ext ? name.slice(0, -ext.length) : name;
+  for (let i = 1; i < 10000; i++) {
+    const candidate = `${base} (${i})${ext}`;
+    if (!children.has(candidate)) return candidate;
+  }
+  throw new Error("Could not find a unique name");
+}
+
+ipcMain.handle(
+  "archive-add-items",
+  async (event, targetPath, sourcePaths, operationId) => {
+    const cancelKey = operationId ? String(operationId) : null;
+    let stagingDir = null;
+    try {
+      const { archivePath, internalPath } =
+        await resolveWritableArchive(targetPath);
+
+      const sources = [];
+      for (const sourcePath of sourcePaths) {
+        try {
+          sources.push({
+            path: sourcePath,
+            name: path.basename(sourcePath),
+            stats: await fs.lstat(sourcePath),
+          });
+        } catch (error) {
+          const member = await resolveArchivePath(sourcePath);
+          if (!member.error && member.internalPath) {
+            return {
+              success: false,
+              error: `${path.basename(sourcePath)} is inside an archive; extract it before adding it to another archive`,
+            };
+          }
+          throw error;
+        }
+      }
+
+      let children;
+      try {
+        children = await listArchiveChildren(archivePath, internalPath);
+      } catch (error) {
+        if (isArchivePasswordError(error)) {
+          return archivePasswordFailure(archivePath);
+        }
+        throw error;
+      }
+
+      const conflictPolicies = {};
+      const added = [];
+      const removedEntries = [];
+      for (const source of sources) {
+        const existing = children.get(source.name);
+        const isDirectory = source.stats.isDirectory();
+        if (existing) {
+          const kind =
+            existing.isDirectory && isDirectory
+              ? "folder"
+              : !existing.isDirectory && !isDirectory
+                ? "file"
+                : "mixed";
+          let action = conflictPolicies[kind];
+          if (!action) {
+            const answer = await requestConflictResolution(event.sender, {
+              operationId: cancelKey,
+              operation: "copy",
+              kind,
+              samePath: false,
+              canMerge: false,
+              source: source.path,
+              dest: path.join(targetPath, source.name),
+              sourceInfo: describeEntryStats(source.stats),
+              destInfo: existing,
+            });
+            if (
+              !answer ||
+              answer.action === "cancel" ||
+              (cancelKey && cancelOperations.has(cancelKey))
+            ) {
+              return { success: false, cancelled: true, error: "Cancelled" };
+            }
+            action = answer.action;
+            if (answer.applyToAll) conflictPolicies[kind] = action;
+          }
+          if (action === "replaceIfNewer") {
+            action =
+              source.stats.mtimeMs > (existing.modified?.getTime() || 0)
+                ? "replace"
+                : "skip";
+          }
+          if (action === "skip") continue;
+          if (action === "replace") {
+            // 7z only overwrites matching files, so clear folders and
+            // entries of the other type first
+            if (existing.isDirectory || isDirectory) {
+              removedEntries.push(
+                internalPath ? `${internalPath}/${source.name}` : source.name,
+              );
+            }
+          } else {
+            source.name = findUniqueArchiveName(
+              source.name,
+              isDirectory,
+              children,
+            );
+          }
+        }
+        children.set(source.name, { isDirectory });
+        added.push(source);
+      }
+      if (added.length === 0) return { success: true, added: [] };
+
+      const names = added.map((source) => source.name);
+      let cwd = path.dirname(added[0].path);
+      let entries = names;
+
+      if (
+        internalPath ||
+        added.some(
+          (source) =>
+            path.dirname(source.path) !== cwd ||
+            source.name !== path.basename(source.path),
+        )
+      ) {
+        const os = require("os");
+        stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), "ez-fm-archive-"));
+        const targetDir = path.join(stagingDir, internalPath);
+        await fs.mkdir(targetDir, { recursive: true });
+        for (const source of added) {
+          await fs.cp(source.path, path.join(targetDir, source.name), {
+            recursive: true,
+            preserveTimestamps: true,
+            verbatimSymlinks: true,
+          });
+        }
+        cwd = stagingDir;
+        entries = names.map((name) =>
+          internalPath ? path.join(internalPath, name) : name,
+        );
+      }
+
+      if (removedEntries.length > 0) {
+        const removal = await runArchiveWrite(
+          event,
+          operationId,
+          "d",
+          archivePath,
+          removedEntries,
+        );
+        if (!removal.success) return removal;
+      }
 
-    clipboard.writeText(list.join("\n"));
+      const result = await runArchiveWrite(
+        event,
+        operationId,
+        "a",
+        archivePath,
+        entries,
+        cwd,
+      );
+      return result.success
+        ? { ...result, added: added.map((source) => source.path) }
+        : result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      if (cancelKey) cancelOperations.delete(cancelKey);
+      if (stagingDir) {
+        await fs.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  },
+);
 
+ipcMain.handle(
+  "archive-delete-entries",
+  async (event, entryPaths, operationId) => {
     try {
-      clipboard.write({
-        text: list.join("\n"),
+      const resolved = await Promise.all(
+        entryPaths.map((p) => resolveWritableArchive(p)),
+      );
+      const archivePath = resolved[0]?.archivePath;
+      if (!archivePath) return { success: true };
+      if (resolved.some((r) => r.archivePath !== archivePath || !r.internalPath)) {
+        return {
+          success: false,
+          error: "Entries must belong to the same archive",
+        };
+      }
+      return await runArchiveWrite(
+        event,
+        operationId,
+        "d",
+        archivePath,
+        resolved.map((r) => r.internalPath),
+      );
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+);
 
-        "text/uri-list": list.map(toFileUrl).join("\n"),
-      });
-    } catch {}
+ipcMain.handle(
+  "archive-rename-entry",
+  async (event, entryPath, newName, operationId) => {
+    try {
+      const { archivePath, internalPath } =
+        await resolveWritableArchive(entryPath);
+      if (!internalPath) {
+        return { success: false, error: "Cannot rename the archive root" };
+      }
+      if (!newName || /[/\\]/.test(newName)) {
+        return { success: false, error: "Invalid name" };
+      }
+      const parent = path.posix.dirname(internalPath);
+      const renamed = parent === "." ? newName : `${parent}/${newName}`;
+      const result = await runArchiveWrite(
+        event,
+        operationId,
+        "rn",
+        archivePath,
+        [internalPath, renamed],
+      );
+      if (result.success) {
+        result.newPath = path.join(path.dirname(entryPath), newName);
+      }
+      return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+);
 
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
+let archiveEntryCacheDir = null;
+const pendingArchiveEntryExtractions = new Map();
+
+async function getArchiveEntryCacheDir() {
+  if (!archiveEntryCacheDir) {
+    const os = require("os");
+    archiveEntryCacheDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "ez-fm-preview-"),
+    );
   }
-});
+  return archiveEntryCacheDir;
+}
 
+async function extractArchiveEntryToFile(archivePath, internalPath, destination) {
+  const format = getArchiveFormat(archivePath);
+  let inputPath = null;
+  let commands;
+  if (format?.type === "tar" && isStreamedArchive(format)) {
+    inputPath = archivePath;
+    commands = [
+      getDecompressCommand(format.codec),
+      ["7z", ["x", "-so", "-si", "-ttar", "-spd", "--", internalPath]],
+    ];
+  } else if (isStreamedArchive(format)) {
+    inputPath = archivePath;
+    commands = [getDecompressCommand(format.codec)];
+  } else {
+    commands = [
+      [
+        "7z",
+        [
+          "x",
+          "-so",
+          "-spd",
+          ...getArchivePasswordArgs(archivePath),
+          "--",
+          archivePath,
+          internalPath,
+        ],
+      ],
+    ];
+  }
 
-async function handleArchiveBrowsing(fullPath) {
-  let archivePath = fullPath;
-  let internalPath = "";
-  let found = false;
+  try {
+    await runStreamPipeline(inputPath, commands, { outputPath: destination });
+  } catch (error) {
+    await fs.rm(destination, { force: true });
+    throw error;
+  }
+  return destination;
+}
 
-  let depth = 0;
-  while (depth < 20) {
+ipcMain.handle(
+  "extract-archive-entry",
+  async (event, entryPath, options = {}) => {
+    let archivePath = null;
     try {
+      const resolved = await resolveArchivePath(entryPath);
+      if (resolved.error) return { success: false, error: resolved.error };
+      archivePath = resolved.archivePath;
+      const { internalPath } = resolved;
+      if (!internalPath) return { success: false, error: "Not an archive entry" };
+
       const stats = await fs.stat(archivePath);
-      if (stats.isFile()) {
-        found = true;
-        break;
-      } else if (stats.isDirectory()) {
-        return { success: false, error: "Not a directory" };
-      }
-    } catch (e) {
-      const parent = path.dirname(archivePath);
-      if (parent === archivePath) break;
-      const base = path.basename(archivePath);
-      internalPath = internalPath ? path.join(base, internalPath) : base;
-      archivePath = parent;
-    }
-    depth++;
-  }
+      const crypto = require("crypto");
+      const key = crypto
+        .createHash("sha1")
+        .update(`${archivePath}\0${stats.size}\0${stats.mtimeMs}\0${internalPath}`)
+        .digest("hex");
+      const cacheDir = path.join(await getArchiveEntryCacheDir(), key);
+      const destination = path.join(cacheDir, path.posix.basename(internalPath));
 
-  if (!found) return { success: false, error: "Path not found" };
+      try {
+        await fs.access(destination);
+        return { success: true, path: destination };
+      } catch {}
 
-  const { exec } = require("child_process");
-  const util = require("util");
-  const execPromise = util.promisify(exec);
+      if (!pendingArchiveEntryExtractions.has(destination)) {
+        const extraction = (async () => {
+          await fs.mkdir(cacheDir, { recursive: true });
+          const partial = `${destination}.part`;
+          await extractArchiveEntryToFile(archivePath, internalPath, partial);
+          await fs.rename(partial, destination);
+          if (options.modified) {
+            const modified = new Date(options.modified);
+            if (!Number.isNaN(modified.getTime())) {
+              await fs.utimes(destination, modified, modified).catch(() => {});
+            }
+          }
+        })().finally(() => pendingArchiveEntryExtractions.delete(destination));
+        pendingArchiveEntryExtractions.set(destination, extraction);
+      }
+      await pendingArchiveEntryExtractions.get(destination);
+      return { success: true, path: destination };
+    } catch (error) {
+      if (archivePath && isArchivePasswordError(error)) {
+        return archivePasswordFailure(archivePath);
+      }
+      logCommandFailure(`7z x -so ${entryPath}`, error);
+      return { success: false, error: error.message };
+    }
+  },
+);
 
-  let cmd = "";
-  try {
-    const safeArchivePath = archivePath.replace(/"/g, '\\"');
+function isEscapingArchivePath(entryPath) {
+  const normalized = path.posix.normalize(entryPath);
+  return (
+    path.posix.isAbsolute(entryPath) ||
+    /^[a-zA-Z]:/.test(entryPath) ||
+    normalized === ".." ||
+    normalized.startsWith("../")
+  );
+}
 
-    const isCompressedTar = /\.(tar\.(gz|xz|bz2)|tgz|txz|tbz2)$/i.test(
-      archivePath,
-    );
+async function findUnsafeArchiveEntries(archivePath, entries) {
+  const links = new Map();
+  for (const entry of entries) {
+    let target = entry["Symbolic Link"];
+    if (!target && /(^|\s)l[rwx-]{9}/.test(entry.Attributes || "")) {
+      try {
+        const { stdout } = await runSevenZip([
+          "x",
+          "-so",
+          "-spd",
+          ...getArchivePasswordArgs(archivePath),
+          "--",
+          archivePath,
+          entry.Path,
+        ]);
+        target = stdout;
+      } catch {
+        target = "/";
+      }
+    }
+    if (target) links.set(entry.Path, target.replace(/\\/g, "/"));
+  }
+  const linkPaths = [...links.keys()].map((p) =>
+    path.posix.normalize(p.replace(/\\/g, "/")),
+  );
 
-    cmd = `7z l -slt -ba -sccUTF-8 "${safeArchivePath}"`;
-    if (isCompressedTar) {
-      cmd = `7z x -so "${safeArchivePath}" | 7z l -slt -ba -sccUTF-8 -si -ttar`;
+  const unsafe = [];
+  for (const entry of entries) {
+    const entryPath = entry.Path.replace(/\\/g, "/");
+    const linkTarget = links.get(entry.Path);
+    const hardLink = (entry["Hard Link"] || "").replace(/\\/g, "/");
+    let reason = null;
+    if (isEscapingArchivePath(entryPath)) {
+      reason = "path leads outside the destination";
+    } else if (
+      linkPaths.some((link) => path.posix.normalize(entryPath).startsWith(`${link}/`))
+    ) {
+      reason = "path goes through a symbolic link";
+    } else if (
+      linkTarget &&
+      (path.posix.isAbsolute(linkTarget) ||
+        isEscapingArchivePath(
+          path.posix.join(path.posix.dirname(entryPath), linkTarget),
+        ))
+    ) {
+      reason = "symbolic link points outside the destination";
+    } else if (hardLink && isEscapingArchivePath(hardLink)) {
+      reason = "hard link points outside the destination";
     }
+    if (reason) unsafe.push({ path: entry.Path, reason });
+  }
+  return unsafe;
+}
 
-    const { stdout } = await execPromise(cmd, { maxBuffer: 10 * 1024 * 1024 });
+function runStreamPipeline(inputPath, commands, options = {}) {
+  const { spawn } = require("child_process");
+  const cancelKey = options.operationId ? String(options.operationId) : null;
+  if (cancelKey && cancelOperations.has(cancelKey)) {
+    const error = new Error("Cancelled");
+    error.cancelled = true;
+    return Promise.reject(error);
+  }
 
-    const contents = [];
-    const seen = new Set();
+  const input = inputPath ? fsSync.createReadStream(inputPath) : null;
+  const processes = commands.map(([command, args], index) =>
+    spawn(command, args, {
+      cwd: options.cwd,
+      stdio: [
+        index > 0 || input ? "pipe" : "ignore",
+        index < commands.length - 1 || options.outputPath ? "pipe" : "ignore",
+        "pipe",
+      ],
+    }),
+  );
+  processes.forEach((child, index) => {
+    const upstream = index > 0 ? processes[index - 1].stdout : input;
+    if (!upstream) return;
+    upstream.pipe(child.stdin);
+    child.stdin.on("error", () => {});
+  });
 
-    const normalizedInternal = internalPath.replace(/\\/g, "/");
+  let output = null;
+  if (options.outputPath) {
+    output = fsSync.createWriteStream(options.outputPath);
+    processes[processes.length - 1].stdout.pipe(output);
+  }
 
-    const blocks = stdout.split(/\r?\n\r?\n/);
+  if (input) {
+    let readBytes = 0;
+    let lastPercent = -1;
+    input.on("data", (chunk) => {
+      readBytes += chunk.length;
+      if (!options.onProgress || !options.totalBytes) return;
+      const percent = Math.min(
+        100,
+        Math.floor((readBytes / options.totalBytes) * 100),
+      );
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        options.onProgress(percent);
+      }
+    });
+    input.on("error", () => processes[0].kill());
+  }
 
-    for (const block of blocks) {
-      const entry = {};
-      block.split(/\r?\n/).forEach((line) => {
-        const match = line.match(/^(\w+)\s=\s(.*)$/);
-        if (match) entry[match[1]] = match[2];
-      });
+  return waitForPipeline(processes, output, cancelKey).finally(() =>
+    input?.destroy(),
+  );
+}
 
-      if (!entry.Path) continue;
+ipcMain.handle(
+  "extract-archive",
+  async (event, archivePath, destPath, operationId) => {
+    const cancelKey = operationId ? String(operationId) : null;
+    const baseName = path.basename(archivePath);
+    const format = getArchiveFormat(archivePath) || {
+      type: "archive",
+      codec: null,
+      stem: baseName.replace(/\.[^.]+$/, ""),
+    };
 
-      let entryPath = entry.Path.replace(/\\/g, "/");
+    let outputDir = path.join(destPath, format.stem || baseName);
+    const onProgress = (percent) =>
+      sendArchiveProgress(event, operationId, percent, baseName);
 
-      if (normalizedInternal && !entryPath.startsWith(normalizedInternal + "/"))
-        continue;
+    let createdDir;
+    let command = "";
+    try {
+      const { size } = await fs.stat(archivePath);
 
-      let relative = normalizedInternal
-        ? entryPath.slice(normalizedInternal.length + 1)
-        : entryPath;
-      if (!relative) continue;
+      if (format.type === "compressed") {
+        try {
+          await fs.access(outputDir);
+          outputDir = await findUniquePath(outputDir, "file");
+        } catch {}
+        const decompress = getDecompressCommand(format.codec);
+        command = `${decompress[0]} -dc ${archivePath}`;
+        createdDir = outputDir;
+        await runStreamPipeline(archivePath, [decompress], {
+          operationId,
+          totalBytes: size,
+          onProgress,
+          outputPath: outputDir,
+        });
+        return { success: true, outputDir, skipped: [] };
+      }
 
-      const parts = relative.split("/");
-      const name = parts[0];
+      command = `7z l -slt ${archivePath}`;
+      const entries = await listArchiveEntries(archivePath);
+      const skipped = await findUnsafeArchiveEntries(archivePath, entries);
+      const skippedPaths = new Set(skipped.map((entry) => entry.path));
+      const topLevel = new Set(
+        entries
+          .filter((entry) => !skippedPaths.has(entry.Path))
+          .map((entry) =>
+            entry.Path.replace(/\\/g, "/").replace(/^(\.\/)+/, "").split("/")[0],
+          )
+          .filter(Boolean),
+      );
 
-      if (seen.has(name)) continue;
-      seen.add(name);
+      let extractDir = null;
+      if (topLevel.size === 1) {
+        const singleTarget = path.join(destPath, [...topLevel][0]);
+        const exists = await fs.access(singleTarget).then(
+          () => true,
+          () => false,
+        );
+        if (!exists) {
+          extractDir = destPath;
+          outputDir = singleTarget;
+        }
+      }
 
-      const isDirectChild = parts.length === 1;
-      const isDir =
-        !isDirectChild || (entry.Attributes && entry.Attributes.includes("D"));
+      if (!extractDir) {
+        try {
+          await fs.access(outputDir);
+          outputDir = await findUniquePath(outputDir, "directory");
+        } catch {}
+        await fs.mkdir(outputDir, { recursive: true });
+        extractDir = outputDir;
+      }
+      createdDir = outputDir;
+
+      if (format.type === "tar") {
+        const commands = [
+          [
+            "tar",
+            [
+              "-x",
+              "--no-wildcards",
+              "--anchored",
+              ...skipped.map((entry) => `--exclude=${entry.path}`),
+              "-f",
+              "-",
+              "-C",
+              extractDir,
+            ],
+          ],
+        ];
+        if (format.codec) commands.unshift(getDecompressCommand(format.codec));
+        command = commands
+          .map(([cmd, args]) => `${cmd} ${args.join(" ")}`)
+          .join(" | ");
+        await runStreamPipeline(archivePath, commands, {
+          operationId,
+          totalBytes: size,
+          onProgress,
+        });
+      } else {
+        const args = ["x", "-y", "-bsp1", "-bso0", "-spd", `-o${extractDir}`];
+        command = `7z ${args.join(" ")} -- ${archivePath}`;
+        await runSevenZip(
+          [
+            ...args,
+            ...skipped.map((entry) => `-x!${entry.path}`),
+            ...getArchivePasswordArgs(archivePath),
+            "--",
+            archivePath,
+          ],
+          { operationId, onProgress },
+        );
+      }
 
-      contents.push({
-        name: name,
-        path: path.join(fullPath, name),
-        isDirectory: isDir,
-        isFile: !isDir,
-        isSymlink: false,
-        size: isDir ? 0 : parseInt(entry.Size || "0", 10),
-        modified: entry.Modified ? new Date(entry.Modified) : null,
-        created: null,
-        extension: isDir ? null : path.extname(name).toLowerCase(),
-      });
+      return { success: true, outputDir, skipped };
+    } catch (error) {
+      const passwordError = isArchivePasswordError(error);
+      if (createdDir && (error.cancelled || passwordError)) {
+        await fs.rm(createdDir, { recursive: true, force: true }).catch(() => {});
+      } else if (createdDir && format.type === "compressed") {
+        await fs.rm(createdDir, { force: true }).catch(() => {});
+      } else if (createdDir) {
+        await fs.rmdir(createdDir).catch(() => {});
+      }
+      if (error.cancelled) {
+        return { success: false, cancelled: true, error: "Cancelled" };
+      }
+      if (passwordError) return archivePasswordFailure(archivePath);
+      logCommandFailure(command, error);
+      return { success: false, error: error.message || "Extraction failed" };
+    } finally {
+      if (cancelKey) cancelOperations.delete(cancelKey);
     }
+  },
+);
 
-    contents.sort((a, b) => {
-      if (a.isDirectory && !b.isDirectory) return -1;
-      if (!a.isDirectory && b.isDirectory) return 1;
-      return a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
-    });
+ipcMain.handle("test-archive", async (event, archivePath, operationId) => {
+  const cancelKey = operationId ? String(operationId) : null;
+  const format = getArchiveFormat(archivePath);
+  const onProgress = (percent) =>
+    sendArchiveProgress(event, operationId, percent, path.basename(archivePath));
 
-    return { success: true, contents, path: fullPath, isArchive: true };
-  } catch (err) {
-    logCommandFailure(cmd, err);
-    return {
-      success: false,
-      error: "Failed to read archive (7z required): " + err.message,
-    };
+  if (isStreamedArchive(format)) {
+    const commands = [getDecompressCommand(format.codec)];
+    if (format.type === "tar") commands.push(["tar", ["-t", "-f", "-"]]);
+    try {
+      const { size } = await fs.stat(archivePath);
+      await runStreamPipeline(archivePath, commands, {
+        operationId,
+        totalBytes: size,
+        onProgress,
+      });
+      return { success: true, errors: [] };
+    } catch (error) {
+      if (error.cancelled) {
+        return { success: false, cancelled: true, error: "Cancelled" };
+      }
+      if (error.code) return { success: false, error: error.message };
+      return {
+        success: true,
+        errors: [{ path: path.basename(archivePath), error: error.message }],
+      };
+    } finally {
+      if (cancelKey) cancelOperations.delete(cancelKey);
+    }
   }
-}
 
-ipcMain.handle("extract-archive", async (event, archivePath, destPath) => {
+  const args = ["t", "-bsp1", "-bso0"];
   try {
-    const { execSync } = require("child_process");
-    const baseName = path.basename(archivePath);
-
-    let outputDir = path.join(
-      destPath,
-      baseName
-        .replace(/\.(zip|tar|gz|bz2|xz|7z|rar|tgz)$/gi, "")
-        .replace(/\.tar$/i, ""),
+    await runSevenZip(
+      [...args, ...getArchivePasswordArgs(archivePath), "--", archivePath],
+      { operationId, onProgress },
     );
+    return { success: true, errors: [] };
+  } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: "Cancelled" };
+    }
+    if (isArchivePasswordError(error)) return archivePasswordFailure(archivePath);
 
-    const lower = archivePath.toLowerCase();
+    const errors = [];
+    for (const line of (error.stderr || "").split(/\r?\n/)) {
+      const match = line.match(/ERROR:\s*(.+?)\s:\s(.+)$/);
+      if (match && match[1] !== archivePath) {
+        errors.push({ path: match[2], error: match[1] });
+      }
+    }
+    if (errors.length > 0) return { success: true, errors };
+    logCommandFailure(`7z ${args.join(" ")} -- ${archivePath}`, error);
+    return { success: false, error: error.message };
+  } finally {
+    if (cancelKey) cancelOperations.delete(cancelKey);
+  }
+});
 
-    try {
-      await fs.mkdir(outputDir, { recursive: true });
+const SEVEN_ZIP_ENCRYPTION = {
+  zip: ["-mem=AES256"],
+  "7z": ["-mhe=on"],
+};
+
+async function listCompressionOutputs(outputPath, isSplit) {
+  const dir = path.dirname(outputPath);
+  const base = path.basename(outputPath);
+  const names = await fs.readdir(dir).catch(() => []);
+  return names
+    .filter((name) =>
+      isSplit
+        ? name.startsWith(base) && /^\.\d{3}$/.test(name.slice(base.length))
+        : name === base,
+    )
+    .map((name) => path.join(dir, name));
+}
 
-      if (lower.endsWith(".zip")) {
-        try {
-          execSync(`unzip -o "${archivePath}" -d "${outputDir}"`, {
-            stdio: "pipe",
-          });
-        } catch {
-          execSync(`7z x "${archivePath}" -o"${outputDir}" -y`, {
-            stdio: "pipe",
-          });
+function waitForPipeline(processes, output, cancelKey) {
+  return new Promise((resolve, reject) => {
+    if (cancelKey) {
+      trackArchiveProcess(cancelKey, {
+        kill: (signal) => processes.forEach((child) => child.kill(signal)),
+      });
+    }
+
+    let stderr = "";
+    let failed = false;
+    let pending = processes.length + (output ? 1 : 0);
+    const exitCodes = new Map();
+    const done = (error) => {
+      if (failed) return;
+      if (error) {
+        failed = true;
+        processes.forEach((child) => child.kill());
+        output?.destroy();
+      }
+      if (error || --pending === 0) {
+        if (cancelKey) activeArchiveProcesses.delete(cancelKey);
+        if (cancelKey && cancelOperations.has(cancelKey)) {
+          const cancelled = new Error("Cancelled");
+          cancelled.cancelled = true;
+          reject(cancelled);
+        } else if (error) {
+          reject(error);
+        } else {
+          resolve();
         }
-      } else if (lower.endsWith(".tar.gz") || lower.endsWith(".tgz")) {
-        execSync(`tar -xzf "${archivePath}" -C "${outputDir}"`, {
-          stdio: "pipe",
-        });
-      } else if (lower.endsWith(".tar.bz2")) {
-        execSync(`tar -xjf "${archivePath}" -C "${outputDir}"`, {
-          stdio: "pipe",
-        });
-      } else if (lower.endsWith(".tar.xz")) {
-        execSync(`tar -xJf "${archivePath}" -C "${outputDir}"`, {
-          stdio: "pipe",
-        });
-      } else if (lower.endsWith(".tar")) {
-        execSync(`tar -xf "${archivePath}" -C "${outputDir}"`, {
-          stdio: "pipe",
-        });
-      } else if (lower.endsWith(".gz")) {
-        execSync(
-          `gunzip -c "${archivePath}" > "${path.join(outputDir, baseName.replace(/\.gz$/i, ""))}"`,
-          { stdio: "pipe", shell: true },
-        );
-      } else {
-        execSync(`7z x "${archivePath}" -o"${outputDir}" -y`, {
-          stdio: "pipe",
-        });
       }
+    };
 
-      return { success: true, outputDir };
-    } catch (cmdError) {
-      return { success: false, error: cmdError.message || "Extraction failed" };
+    processes.forEach((child, index) => {
+      let childStderr = "";
+      child.stderr.on("data", (data) => {
+        childStderr += data.toString();
+        stderr += data.toString();
+      });
+      child.on("error", (error) =>
+        done(
+          error.code === "ENOENT"
+            ? Object.assign(new Error(`${child.spawnfile} is not installed`), {
+                code: "ENOENT",
+              })
+            : error,
+        ),
+      );
+      child.on("close", (code) => {
+        exitCodes.set(child, code);
+        const downstreamFinished = processes
+          .slice(index + 1)
+          .every((next) => exitCodes.get(next) === 0);
+        if (code === 0 || (index < processes.length - 1 && downstreamFinished)) {
+          return done();
+        }
+        const error = new Error(
+          childStderr.trim().split(/\r?\n/).pop() ||
+            `${child.spawnfile} exited with code ${code}`,
+        );
+        error.stderr = stderr;
+        done(error);
+      });
+    });
+    if (output) {
+      output.on("error", done);
+      output.on("finish", () => done());
     }
-  } catch (error) {
-    return { success: false, error: error.message };
+  });
+}
+
+function runTarCompression(codec, level, cwd, names, outputPath, operationId) {
+  if (!codec) {
+    return runStreamPipeline(
+      null,
+      [["tar", ["-c", "-f", outputPath, "-C", cwd, "--", ...names]]],
+      { operationId },
+    );
   }
-});
 
-ipcMain.handle("compress-items", async (event, paths, outputPath) => {
-  try {
-    const { execSync } = require("child_process");
-    const lower = outputPath.toLowerCase();
+  const spec = STREAM_CODECS[codec];
+  const compressorLevel = Math.max(
+    spec.minLevel,
+    Math.round((level * spec.maxLevel) / 9),
+  );
+  return runStreamPipeline(
+    null,
+    [
+      ["tar", ["-c", "-f", "-", "-C", cwd, "--", ...names]],
+      [spec.command, ["-c", `-${compressorLevel}`, ...(spec.args || [])]],
+    ],
+    { outputPath, operationId },
+  );
+}
 
-    const items = paths.map((p) => `"${p}"`).join(" ");
+ipcMain.handle(
+  "compress-items",
+  async (event, paths, outputPath, options = {}, operationId) => {
+    const cancelKey = operationId ? String(operationId) : null;
+    const format =
+      getArchiveFormat(options.format ? `archive.${options.format}` : outputPath) ||
+      getArchiveFormat("archive.zip");
+    const sevenZipType =
+      format.type === "archive" && SEVEN_ZIP_ENCRYPTION[format.extension]
+        ? format.extension
+        : null;
+    if (!sevenZipType && format.type !== "tar") {
+      return {
+        success: false,
+        error: `Creating .${format.extension} archives is not supported`,
+      };
+    }
+    const level = Math.min(9, Math.max(0, parseInt(options.level ?? 5, 10) || 0));
+    const volumeSize = sevenZipType
+      ? Math.max(0, parseInt(options.volumeSizeMB, 10) || 0)
+      : 0;
+    const cwd = path.dirname(paths[0]);
+    const names = paths.map((p) => path.basename(p));
+    const outputFormat = getArchiveFormat(outputPath);
+    const matchesFormat =
+      outputFormat &&
+      outputFormat.type === format.type &&
+      outputFormat.codec === format.codec &&
+      (format.type !== "archive" || outputFormat.extension === format.extension);
+    if (!matchesFormat) {
+      const stem = outputFormat
+        ? outputPath.slice(0, -(outputFormat.extension.length + 1))
+        : outputPath;
+      outputPath = `${stem}.${format.extension}`;
+    }
 
+    const firstOutput = volumeSize ? `${outputPath}.001` : outputPath;
     try {
-      if (lower.endsWith(".zip")) {
-        const baseNames = paths.map((p) => path.basename(p)).join(" ");
-        const parentDir = path.dirname(paths[0]);
-        execSync(
-          `cd "${parentDir}" && zip -r "${outputPath}" ${paths.map((p) => `"${path.basename(p)}"`).join(" ")}`,
-          { stdio: "pipe", shell: true },
-        );
-      } else if (lower.endsWith(".tar.gz") || lower.endsWith(".tgz")) {
-        execSync(
-          `tar -czf "${outputPath}" -C "${path.dirname(paths[0])}" ${paths.map((p) => `"${path.basename(p)}"`).join(" ")}`,
-          { stdio: "pipe", shell: true },
-        );
-      } else if (lower.endsWith(".tar.bz2")) {
-        execSync(
-          `tar -cjf "${outputPath}" -C "${path.dirname(paths[0])}" ${paths.map((p) => `"${path.basename(p)}"`).join(" ")}`,
-          { stdio: "pipe", shell: true },
-        );
-      } else if (lower.endsWith(".tar.xz")) {
-        execSync(
-          `tar -cJf "${outputPath}" -C "${path.dirname(paths[0])}" ${paths.map((p) => `"${path.basename(p)}"`).join(" ")}`,
-          { stdio: "pipe", shell: true },
-        );
-      } else if (lower.endsWith(".tar")) {
-        execSync(
-          `tar -cf "${outputPath}" -C "${path.dirname(paths[0])}" ${paths.map((p) => `"${path.basename(p)}"`).join(" ")}`,
-          { stdio: "pipe", shell: true },
-        );
-      } else if (lower.endsWith(".7z")) {
-        execSync(`7z a "${outputPath}" ${items}`, {
-          stdio: "pipe",
-          shell: true,
+      await fs.access(firstOutput);
+      return {
+        success: false,
+        error: `${path.basename(firstOutput)} already exists`,
+      };
+    } catch {}
+
+    let command = "";
+    try {
+      if (sevenZipType) {
+        const args = [
+          "a",
+          `-t${sevenZipType}`,
+          `-mx=${level}`,
+          "-bsp1",
+          "-bso0",
+          "-spd",
+        ];
+        if (volumeSize) args.push(`-v${volumeSize}m`);
+        command = `7z ${args.join(" ")} -- ${outputPath}`;
+        if (options.password) {
+          args.push(`-p${options.password}`, ...SEVEN_ZIP_ENCRYPTION[sevenZipType]);
+        }
+        await runSevenZip([...args, "--", outputPath, ...names], {
+          cwd,
+          operationId,
+          onProgress: (percent) =>
+            sendArchiveProgress(
+              event,
+              operationId,
+              percent,
+              path.basename(outputPath),
+            ),
         });
       } else {
-        execSync(
-          `cd "${path.dirname(paths[0])}" && zip -r "${outputPath}" ${paths.map((p) => `"${path.basename(p)}"`).join(" ")}`,
-          { stdio: "pipe", shell: true },
+        command = `tar -c | ${format.codec || "-"} > ${outputPath}`;
+        await runTarCompression(
+          format.codec,
+          level,
+          cwd,
+          names,
+          outputPath,
+          operationId,
         );
       }
 
-      return { success: true };
-    } catch (cmdError) {
       return {
-        success: false,
-        error: cmdError.message || "Compression failed",
+        success: true,
+        outputPaths: await listCompressionOutputs(outputPath, volumeSize > 0),
       };
+    } catch (error) {
+      for (const partial of await listCompressionOutputs(
+        outputPath,
+        volumeSize > 0,
+      )) {
+        await fs.rm(partial, { force: true }).catch(() => {});
+      }
+      if (error.cancelled) {
+        return { success: false, cancelled: true, error: "Cancelled" };
+      }
+      logCommandFailure(command, error);
+      return { success: false, error: error.message || "Compression failed" };
+    } finally {
+      if (cancelKey) cancelOperations.delete(cancelKey);
     }
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+  },
+);
 
 
 async function getDiskSpace(pathStr) {
@@ -1694,11 +5163,10 @@ ipcMain.handle("show-save-dialog", async (event, options) => {
 });
 
 
-ipcMain.handle("read-file-preview", async (event, filePath) => {
+ipcMain.handle("read-file-preview", async (event, filePath, options = {}) => {
   try {
     const stats = await fs.stat(filePath);
 
-    const MAX_PREVIEW_SIZE = 1024 * 1024;
     if (stats.size > MAX_PREVIEW_SIZE) {
       return { success: false, error: "File too large for preview" };
     }
@@ -1739,6 +5207,12 @@ ipcMain.handle("read-file-preview", async (event, filePath) => {
     ];
 
     if (!textExtensions.includes(ext)) {
+      if (options.anyText) {
+        const buffer = await fs.readFile(filePath);
+        if (!isBinaryBuffer(buffer)) {
+          return { success: true, content: buffer.toString("utf8") };
+        }
+      }
       return {
         success: false,
         error: "File type not supported for text preview",
@@ -21,6 +21,25 @@ const fileManagerApi = {
   deleteItemSudo: invoke("delete-item-sudo"),
   trashItem: invoke("trash-item"),
   restoreTrashItems: invoke("restore-trash-items"),
+  listTrashItems: invoke("list-trash-items"),
+  restoreTrashedEntries: invoke("restore-trashed-entries"),
+  deleteTrashedEntries: invoke("delete-trashed-entries"),
+  getTrashPolicy: invoke("get-trash-policy"),
+  setTrashPolicy: invoke("set-trash-policy"),
+  purgeTrash: invoke("purge-trash"),
+  emptyTrash: invoke("empty-trash"),
+  startRecursiveSearch: invoke("start-recursive-search"),
+  cancelSearch: invoke("cancel-search"),
+  onSearchResults: (callback) =>
+    ipcRenderer.on("search-results", (event, payload) => callback(payload)),
+  getFileIndexStatus: invoke("get-file-index-status"),
+  setFileIndexConfig: invoke("set-file-index-config"),
+  rebuildFileIndex: invoke("rebuild-file-index"),
+  queryFileIndex: invoke("query-file-index"),
+  onFileIndexStatus: (callback) =>
+    ipcRenderer.on("file-index-status", (event, status) => callback(status)),
+  onTrashPurgeDue: (callback) =>
+    ipcRenderer.on("trash-purge-due", (event, info) => callback(info)),
   renameItem: invoke("rename-item"),
   createFolder: invoke("create-folder"),
   createFile: invoke("create-file"),
@@ -32,12 +51,28 @@ const fileManagerApi = {
   getVideoMetadata: invoke("get-video-metadata"),
 
   extractArchive: invoke("extract-archive"),
+  testArchive: invoke("test-archive"),
   compressItems: invoke("compress-items"),
+  archiveAddItems: invoke("archive-add-items"),
+  archiveDeleteEntries: invoke("archive-delete-entries"),
+  archiveRenameEntry: invoke("archive-rename-entry"),
+  extractArchiveEntry: invoke("extract-archive-entry"),
+  setArchivePassword: invoke("set-archive-password"),
 
   batchFileOperation: invoke("batch-file-operation"),
   cancelOperation: invoke("cancel-operation"),
+  pauseOperation: invoke("pause-operation"),
+  resumeOperation: invoke("resume-operation"),
+  setOperationThrottle: invoke("set-operation-throttle"),
+  getOperationLane: invoke("get-operation-lane"),
   onFileOperationProgress: (callback) =>
-    ipcRenderer.on("file-operation-progress", (event, percent) => callback(percent)),
+    ipcRenderer.on("file-operation-progress", (event, progress) => callback(progress)),
+  onFileOperationConflict: (callback) =>
+    ipcRenderer.on("file-operation-conflict", (event, conflict) => callback(conflict)),
+  resolveFileConflict: invoke("resolve-file-conflict"),
+  loadOperationJournal: invoke("load-operation-journal"),
+  saveOperationJournal: invoke("save-operation-journal"),
+  rollbackInterruptedOperation: invoke("rollback-interrupted-operation"),
 
   clipboardCopyPaths: invoke("clipboard-copy-paths"),
 
@@ -12,6 +12,15 @@ let sortBy = "name";
 let sortAscending = true;
 let showHidden = false;
 let calculateFolderSizes = true;
+let preserveMetadata = true;
+let verifyAfterCopy = false;
+let searchRecursive = false;
+let searchContents = false;
+const SAVED_SEARCH_PREFIX = "search://";
+let fileIndexStatus = { enabled: false, roots: [], ready: false };
+let trashPolicy = { maxAgeDays: 0, maxSizeBytes: 0 };
+const TRASH_AGE_OPTIONS = [0, 7, 30, 90];
+const TRASH_SIZE_OPTIONS_GB = [0, 1, 5, 20];
 let fileTags = {};
 let viewMode = "detailed";
 let thumbnailSize = 140;
@@ -60,6 +69,7 @@ const BUILTIN_ICONS = {
   config: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06A1.65 1.65 0 0 0 4.6 15a1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06A1.65 1.65 0 0 0 9 4.6a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06A1.65 1.65 0 0 0 19.4 9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"/></svg>`,
   trash: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3,6 5,6 21,6"/><path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>`,
   root: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 12h16"/><path d="M12 4v16"/></svg>`,
+  search: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><path d="M21 21l-4.35-4.35"/></svg>`,
 };
 
 const THEME_COLOR_GROUPS = [
@@ -190,6 +200,7 @@ let tagsListEl = null;
 let hasRealTrashFolder = false;
 
 let isInTrash = false;
+const TRASH_VIEW_PATH = "trash://";
 
 let newFolderBtn;
 let newFileBtn;
@@ -907,6 +918,407 @@ function showConfirmModal(title, message, confirmLabel = "Confirm") {
   });
 }
 
+function showConflictModal(conflict) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.setAttribute("data-role", "fm-conflict-overlay");
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: var(--modal-backdrop);
+      backdrop-filter: blur(6px);
+      -webkit-backdrop-filter: blur(6px);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 6000;
+    `;
+
+    const dialog = document.createElement("div");
+    dialog.style.cssText = `
+      width: 500px;
+      max-width: calc(100vw - 32px);
+      background: var(--bg-overlay);
+      border: 1px solid var(--border-color);
+      border-radius: 14px;
+      box-shadow: var(--shadow);
+      padding: 16px;
+      color: var(--text-primary);
+    `;
+
+    const name = String(conflict.dest || "").split(/[/\\]/).pop();
+    const isFolder = conflict.kind === "folder";
+    const title = isFolder
+      ? `A folder named "${name}" already exists`
+      : conflict.kind === "mixed"
+        ? `"${name}" already exists as a different type`
+        : `A file named "${name}" already exists`;
+
+    const describe = (info) => {
+      if (!info) return "";
+      const kindLabel = info.isDirectory ? "Folder" : formatSize(info.size);
+      return `${kindLabel} • ${formatDate(info.modified)}`;
+    };
+
+    const buttonStyle = `
+          padding: 9px 12px;
+          border-radius: 10px;
+          border: 1px solid var(--border-color);
+          background: var(--bg-tertiary);
+          color: var(--text-primary);
+          cursor: pointer;
+    `;
+
+    const canReplace = !conflict.samePath;
+    const canMerge = isFolder && canReplace && conflict.canMerge !== false;
+
+    dialog.innerHTML = `
+      <div style="font-size: 14px; font-weight: 700; margin-bottom: 10px;">${escapeHtmlAttr(title)}</div>
+      <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 14px; line-height: 1.5;">
+        <div><strong>Incoming:</strong> ${escapeHtmlAttr(describe(conflict.sourceInfo))}</div>
+        <div style="color: var(--text-muted);">${escapeHtmlAttr(conflict.source || "")}</div>
+        <div style="margin-top: 6px;"><strong>Existing:</strong> ${escapeHtmlAttr(describe(conflict.destInfo))}</div>
+        <div style="color: var(--text-muted);">${escapeHtmlAttr(conflict.dest || "")}</div>
+      </div>
+      ${
+        canMerge
+          ? `<label style="display:flex; align-items:center; justify-content:space-between; gap:8px; font-size: 12px; color: var(--text-secondary); margin-bottom: 10px;">
+        When merging, for clashing files:
+        <select data-role="fm-conflict-merge-policy" class="theme-select">
+          <option value="ask">Ask each time</option>
+          <option value="replace">Replace</option>
+          <option value="replaceIfNewer">Replace if newer</option>
+          <option value="skip">Skip</option>
+          <option value="keepBoth">Keep both</option>
+        </select>
+      </label>`
+          : ""
+      }
+      <label style="display:flex; align-items:center; gap:8px; font-size: 12px; color: var(--text-secondary); margin-bottom: 14px; cursor: pointer;">
+        <input data-role="fm-conflict-all" type="checkbox"/>
+        Apply to all remaining conflicts like this
+      </label>
+      <div style="display:flex; justify-content:flex-end; flex-wrap: wrap; gap:10px;">
+        <button data-role="fm-conflict-cancel" style="${buttonStyle}">Cancel</button>
+        <button data-role="fm-conflict-skip" style="${buttonStyle}">Skip</button>
+        <button data-role="fm-conflict-keep" style="${buttonStyle}">Keep Both</button>
+        ${
+          canReplace
+            ? `<button data-role="fm-conflict-newer" style="${buttonStyle}">Replace if Newer</button>`
+            : ""
+        }
+        ${
+          canMerge
+            ? `<button data-role="fm-conflict-merge" style="${buttonStyle.replace("var(--bg-tertiary)", "var(--accent-color)")}">Merge</button>`
+            : ""
+        }
+        ${
+          canReplace
+            ? `<button data-role="fm-conflict-replace" style="
+          padding: 9px 12px;
+          border-radius: 10px;
+          border: none;
+          background: var(--danger-color);
+          color: white;
+          cursor: pointer;
+        ">Replace</button>`
+            : ""
+        }
+      </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const applyAll = dialog.querySelector('[data-role="fm-conflict-all"]');
+    const mergePolicy = dialog.querySelector(
+      '[data-role="fm-conflict-merge-policy"]',
+    );
+
+    const cleanup = () => {
+      overlay.remove();
+      document.removeEventListener("keydown", onKey);
+    };
+    const finish = (action) => {
+      cleanup();
+      resolve({
+        action,
+        applyToAll: Boolean(applyAll.checked),
+        mergePolicy: mergePolicy ? mergePolicy.value : "ask",
+      });
+    };
+
+    const bind = (role, action) => {
+      const btn = dialog.querySelector(`[data-role="${role}"]`);
+      if (btn) btn.addEventListener("click", () => finish(action));
+    };
+
+    bind("fm-conflict-cancel", "cancel");
+    bind("fm-conflict-skip", "skip");
+    bind("fm-conflict-keep", "keepBoth");
+    bind("fm-conflict-newer", "replaceIfNewer");
+    bind("fm-conflict-merge", "merge");
+    bind("fm-conflict-replace", "replace");
+
+    function onKey(e) {
+      if (e.key === "Escape") finish("cancel");
+    }
+    document.addEventListener("keydown", onKey);
+  });
+}
+
+const COMPRESSION_FORMAT_OPTIONS = [
+  { value: "zip", label: "ZIP", encryptable: true },
+  { value: "7z", label: "7z", encryptable: true },
+  { value: "tar.gz", label: "tar.gz (gzip)" },
+  { value: "tar.xz", label: "tar.xz (xz)" },
+  { value: "tar.zst", label: "tar.zst (zstd)" },
+  { value: "tar.bz2", label: "tar.bz2 (bzip2)" },
+  { value: "tar.lz4", label: "tar.lz4 (lz4)" },
+  { value: "tar", label: "tar (uncompressed)" },
+];
+
+function showCompressModal(defaultName) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.setAttribute("data-role", "fm-compress-overlay");
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: var(--modal-backdrop);
+      backdrop-filter: blur(6px);
+      -webkit-backdrop-filter: blur(6px);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 6000;
+    `;
+
+    const dialog = document.createElement("div");
+    dialog.style.cssText = `
+      width: 460px;
+      max-width: calc(100vw - 32px);
+      background: var(--bg-overlay);
+      border: 1px solid var(--border-color);
+      border-radius: 14px;
+      box-shadow: var(--shadow);
+      padding: 16px;
+      color: var(--text-primary);
+    `;
+
+    const inputStyle = `
+        width: 100%;
+        padding: 10px 12px;
+        border-radius: 10px;
+        border: 1px solid var(--border-color);
+        background: var(--bg-tertiary);
+        color: var(--text-primary);
+        outline: none;
+        font-size: 13px;
+        box-sizing: border-box;
+    `;
+    const rowStyle =
+      "display:flex; align-items:center; justify-content:space-between; gap:8px; font-size: 12px; color: var(--text-secondary); margin-bottom: 10px;";
+
+    dialog.innerHTML = `
+      <div style="font-size: 14px; font-weight: 600; margin-bottom: 10px;">Compress</div>
+      <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 6px;">Archive name:</div>
+      <input data-role="fm-compress-name" type="text" value="${escapeHtmlAttr(defaultName)}" style="${inputStyle} margin-bottom: 12px;"/>
+      <label style="${rowStyle}">
+        Format
+        <select data-role="fm-compress-format" class="theme-select">
+          ${COMPRESSION_FORMAT_OPTIONS.map((f) => `<option value="${f.value}">${escapeHtmlAttr(f.label)}</option>`).join("")}
+        </select>
+      </label>
+      <label style="${rowStyle}">
+        Compression level
+        <select data-role="fm-compress-level" class="theme-select">
+          <option value="0">Store</option>
+          <option value="1">Fastest</option>
+          <option value="3">Fast</option>
+          <option value="5" selected>Normal</option>
+          <option value="7">Maximum</option>
+          <option value="9">Ultra</option>
+        </select>
+      </label>
+      <label style="${rowStyle}">
+        Split into volumes
+        <select data-role="fm-compress-volume" class="theme-select">
+          <option value="0">Don't split</option>
+          <option value="100">100 MB</option>
+          <option value="700">700 MB</option>
+          <option value="2048">2 GB</option>
+          <option value="4095">4 GB (FAT32)</option>
+        </select>
+      </label>
+      <input data-role="fm-compress-password" type="password" placeholder="Password (optional)" style="${inputStyle} margin-bottom: 8px;"/>
+      <input data-role="fm-compress-confirm" type="password" placeholder="Confirm password" style="${inputStyle}"/>
+      <div data-role="fm-compress-hint" style="font-size: 12px; color: var(--text-muted); margin-top: 8px; min-height: 16px;"></div>
+      <div style="display:flex; justify-content:flex-end; gap:10px; margin-top: 14px;">
+        <button data-role="fm-compress-cancel" style="
+          padding: 9px 12px;
+          border-radius: 10px;
+          border: 1px solid var(--border-color);
+          background: var(--bg-tertiary);
+          color: var(--text-primary);
+          cursor: pointer;
+        ">Cancel</button>
+        <button data-role="fm-compress-ok" style="
+          padding: 9px 12px;
+          border-radius: 10px;
+          border: none;
+          background: var(--accent-color);
+          color: white;
+          cursor: pointer;
+        ">Compress</button>
+      </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const field = (role) => dialog.querySelector(`[data-role="fm-compress-${role}"]`);
+    const nameInput = field("name");
+    const formatSelect = field("format");
+    const levelSelect = field("level");
+    const volumeSelect = field("volume");
+    const passwordInput = field("password");
+    const confirmInput = field("confirm");
+    const hint = field("hint");
+
+    const stripExtension = (name) =>
+      name.replace(
+        new RegExp(
+          `\\.(${COMPRESSION_FORMAT_OPTIONS.map((f) => f.value.replace(".", "\\.")).join("|")})$`,
+          "i",
+        ),
+        "",
+      );
+
+    const syncFormat = () => {
+      const format = COMPRESSION_FORMAT_OPTIONS.find(
+        (f) => f.value === formatSelect.value,
+      );
+      const encryptable = Boolean(format?.encryptable);
+      passwordInput.disabled = !encryptable;
+      confirmInput.disabled = !encryptable;
+      volumeSelect.disabled = !encryptable;
+      levelSelect.disabled = formatSelect.value === "tar";
+      hint.style.color = "var(--text-muted)";
+      hint.textContent = encryptable
+        ? formatSelect.value === "7z"
+          ? "Passwords encrypt file contents and names (AES-256)."
+          : "Passwords encrypt file contents (AES-256)."
+        : "Passwords and volumes require ZIP or 7z.";
+      nameInput.value = `${stripExtension(nameInput.value.trim())}.${formatSelect.value}`;
+    };
+
+    const initialFormat = COMPRESSION_FORMAT_OPTIONS.find((f) =>
+      defaultName.toLowerCase().endsWith(`.${f.value}`),
+    );
+    if (initialFormat) formatSelect.value = initialFormat.value;
+    syncFormat();
+    formatSelect.addEventListener("change", syncFormat);
+
+    const cleanup = () => {
+      overlay.remove();
+      document.removeEventListener("keydown", onKey);
+    };
+    const finish = (value) => {
+      cleanup();
+      resolve(value);
+    };
+    const submit = () => {
+      const stem = stripExtension(nameInput.value.trim());
+      if (!stem) return;
+      const name = `${stem}.${formatSelect.value}`;
+      const password = passwordInput.disabled ? "" : passwordInput.value;
+      if (password !== (confirmInput.disabled ? "" : confirmInput.value)) {
+        hint.style.color = "var(--danger-color)";
+        hint.textContent = "Passwords do not match.";
+        confirmInput.focus();
+        return;
+      }
+      finish({
+        name,
+        format: formatSelect.value,
+        level: parseInt(levelSelect.value, 10),
+        password,
+        volumeSizeMB: volumeSelect.disabled
+          ? 0
+          : parseInt(volumeSelect.value, 10),
+      });
+    };
+
+    field("ok").addEventListener("click", submit);
+    field("cancel").addEventListener("click", () => finish(null));
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) finish(null);
+    });
+    dialog.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target.tagName === "INPUT") submit();
+    });
+
+    function onKey(e) {
+      if (e.key === "Escape") finish(null);
+    }
+    document.addEventListener("keydown", onKey);
+
+    setTimeout(() => {
+      nameInput.focus();
+      nameInput.setSelectionRange(0, stripExtension(nameInput.value).length);
+    }, 0);
+  });
+}
+
+function formatMergeSummary(result) {
+  if (!result || !Array.isArray(result.results)) return "";
+  const totals = { added: 0, replaced: 0, skipped: 0, renamed: 0 };
+  let mergedCount = 0;
+  for (const entry of result.results) {
+    if (!entry.summary) continue;
+    mergedCount++;
+    for (const key of Object.keys(totals)) {
+      totals[key] += entry.summary[key] || 0;
+    }
+  }
+  if (mergedCount === 0) return "";
+  const parts = [`${totals.added} added`, `${totals.replaced} replaced`];
+  parts.push(`${totals.skipped} skipped`);
+  if (totals.renamed) parts.push(`${totals.renamed} kept both`);
+  return `Merged ${mergedCount} folder${mergedCount === 1 ? "" : "s"}: ${parts.join(", ")}`;
+}
+
+function getCompletedBatchItems(result, batchItems) {
+  if (!result || !Array.isArray(result.results)) return batchItems;
+  return result.results
+    .filter(
+      (entry) =>
+        entry.status !== "skipped" &&
+        entry.status !== "merged" &&
+        entry.status !== "failed",
+    )
+    .map((entry) => ({ source: entry.source, dest: entry.dest }));
+}
+
+function getUndoableBatchItems(result, batchItems) {
+  if (!result || !Array.isArray(result.results)) return batchItems;
+  return result.results
+    .flatMap((entry) => entry.entries || [entry])
+    .filter(
+      (entry) =>
+        entry.status !== "skipped" &&
+        entry.status !== "merged" &&
+        entry.status !== "failed",
+    )
+    .map((entry) => ({
+      source: entry.source,
+      dest: entry.dest,
+      status: entry.status,
+      replacedBackup: entry.replacedBackup || null,
+    }));
+}
+
 function getUndoMenuLabel() {
   const entry = undoStack[undoStack.length - 1];
   return entry && entry.label ? entry.label : "Undo";
@@ -943,8 +1355,253 @@ function pushUndo(entry) {
   refreshUndoMenu();
 }
 
+function getFileOperationOptions() {
+  return { preserveMetadata, verifyAfterCopy };
+}
+
+async function requestBatchFileOperation(items, operation, operationId) {
+  const options = getFileOperationOptions();
+  const result = await window.fileManager.batchFileOperation(
+    items,
+    operation,
+    operationId,
+    options,
+  );
+  if (!result?.insufficientSpace) return result;
+
+  const confirmed = await showConfirmModal(
+    "Not Enough Free Space",
+    `This ${operation} needs ${formatSize(result.required)}, but only ${formatSize(result.available)} is free at ${result.path}. Continue anyway?`,
+    "Continue Anyway",
+  );
+  if (!confirmed) {
+    return { ...result, cancelled: true };
+  }
+  return window.fileManager.batchFileOperation(items, operation, operationId, {
+    ...options,
+    skipSpaceCheck: true,
+    measuredTotals: result.measuredTotals,
+  });
+}
+
+async function restoreReplacedOriginals(items) {
+  const replaced = items.filter((item) => item.replacedBackup);
+  if (replaced.length === 0) return [];
+  const result = await window.fileManager.restoreTrashItems(
+    replaced.map((item) => item.replacedBackup),
+  );
+  if (!result || !result.success) {
+    throw new Error(
+      result?.error || "Could not restore replaced items from Trash",
+    );
+  }
+  return replaced.map((item, index) => ({
+    restoredPath: result.restored[index].to,
+    name: item.dest.split(/[/\\]/).pop(),
+  }));
+}
+
+async function putBackReplacedOriginals(restored) {
+  for (const entry of restored) {
+    const result = await window.fileManager.renameItem(
+      entry.restoredPath,
+      entry.name,
+    );
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Could not put back a replaced item");
+    }
+  }
+}
+
+function pushBatchUndo(operation, batchItems) {
+  const undoableItems = batchItems.filter(
+    (item) => item.status !== "replaced" || item.replacedBackup,
+  );
+  const lostCount = batchItems.length - undoableItems.length;
+  if (lostCount > 0) {
+    showNotification(
+      `${lostCount} replaced item(s) could not be kept in Trash, so they cannot be undone`,
+      "error",
+    );
+  }
+  if (undoableItems.length === 0) return;
+  if (operation === "copy") {
+    const copiedPaths = undoableItems.map((item) => item.dest);
+    pushUndo({
+      label: formatUndoLabel("Copy", copiedPaths.length),
+      successMessage: "Undid copy",
+      undo: async () => {
+        const restored = await restoreReplacedOriginals(undoableItems);
+        await deletePathsPermanently(copiedPaths);
+        await putBackReplacedOriginals(restored);
+        refresh();
+      },
+    });
+    return;
+  }
+  const movedItems = undoableItems.map((item) => ({
+    source: item.dest,
+    dest: item.source,
+  }));
+  pushUndo({
+    label: formatUndoLabel("Move", movedItems.length),
+    successMessage: "Undid move",
+    undo: async () => {
+      const restored = await restoreReplacedOriginals(undoableItems);
+      await runBatchOperation(movedItems, "move");
+      await putBackReplacedOriginals(restored);
+      refresh();
+    },
+  });
+}
+
+function getBatchLanePaths(items) {
+  return [
+    ...items.map((item) => item.dest),
+    ...items.map((item) => item.source),
+  ];
+}
+
+function enqueueBatchFileOperation({
+  label,
+  operation,
+  items,
+  errorMessage,
+  onComplete,
+}) {
+  return enqueueOperation({
+    label,
+    usesProgress: true,
+    controllable: true,
+    lanePath: getBatchLanePaths(items),
+    journal: { operation, items },
+    run: async (op) => {
+      const result = await requestBatchFileOperation(items, operation, op.id);
+      op.summary = formatMergeSummary(result);
+      op.verification = result?.verification || null;
+      if (!result || !result.success) {
+        const error = new Error(result?.error || errorMessage);
+        if (result?.cancelled) error.cancelled = true;
+        throw error;
+      }
+      return result;
+    },
+    cancel: async (op) => {
+      if (window.fileManager.cancelOperation) {
+        await window.fileManager.cancelOperation(op.id);
+      }
+    },
+    onSuccess: async (result) => {
+      const completedItems = getCompletedBatchItems(result, items);
+      pushBatchUndo(operation, getUndoableBatchItems(result, items));
+      if (onComplete) await onComplete(completedItems);
+      const mismatches = result.verification?.mismatches || [];
+      if (mismatches.length > 0) {
+        showNotification(
+          `${mismatches.length} file(s) failed checksum verification`,
+          "error",
+        );
+      }
+    },
+    onError: (error) => {
+      if (!error?.cancelled) {
+        showNotification(error?.message || errorMessage, "error");
+      }
+    },
+  });
+}
+
+function enqueueArchiveOperation({ label, errorMessage, run, onSuccess }) {
+  return enqueueOperation({
+    label,
+    usesProgress: true,
+    lanePath: currentPath,
+    run: async (op) => {
+      const result = await withArchivePassword(() => run(op.id));
+      if (!result || !result.success) {
+        const error = new Error(result?.error || errorMessage);
+        if (result?.cancelled) error.cancelled = true;
+        throw error;
+      }
+      return result;
+    },
+    cancel: async (op) => {
+      if (window.fileManager.cancelOperation) {
+        await window.fileManager.cancelOperation(op.id);
+      }
+    },
+    onSuccess: async (result) => {
+      if (onSuccess) await onSuccess(result);
+    },
+    onError: (error) => {
+      if (!error?.cancelled) {
+        showNotification(error?.message || errorMessage, "error");
+      }
+    },
+  });
+}
+
+function enqueueTrashOperation(task) {
+  const isPurge = task === "purge";
+  const existing = [...getActiveOperations(), ...operationQueue].find(
+    (op) => op.trashTask === task,
+  );
+  if (existing) return existing;
+
+  const errorMessage = isPurge ? "Trash purge failed" : "Empty Trash failed";
+  return enqueueOperation({
+    label: isPurge ? "Purge old Trash items" : "Empty Trash",
+    trashTask: task,
+    usesProgress: true,
+    run: async (op) => {
+      const result = isPurge
+        ? await window.fileManager.purgeTrash(op.id)
+        : await window.fileManager.emptyTrash(op.id);
+      if (result?.deleted) {
+        op.summary = `${result.deleted.length} deleted`;
+      }
+      if (!result || !result.success) {
+        const error = new Error(
+          result?.failed?.length
+            ? `Failed to delete ${result.failed.length} item(s) from Trash`
+            : result?.error || errorMessage,
+        );
+        if (result?.cancelled) error.cancelled = true;
+        throw error;
+      }
+      return result;
+    },
+    cancel: async (op) => {
+      if (window.fileManager.cancelOperation) {
+        await window.fileManager.cancelOperation(op.id);
+      }
+    },
+    onSuccess: async (result) => {
+      if (isInTrash) refresh();
+      if (!isPurge) {
+        showNotification("Trash emptied");
+      } else if (result.deleted.length > 0) {
+        showNotification(
+          `Purged ${result.deleted.length} item(s) from Trash`,
+        );
+      }
+    },
+    onError: (error) => {
+      if (isInTrash) refresh();
+      if (!error?.cancelled) {
+        showNotification(error?.message || errorMessage, "error");
+      }
+    },
+  });
+}
+
 async function runBatchOperation(items, operation) {
-  const result = await window.fileManager.batchFileOperation(items, operation);
+  const result = await window.fileManager.batchFileOperation(
+    items,
+    operation,
+    null,
+    getFileOperationOptions(),
+  );
   if (!result || !result.success) {
     throw new Error(result?.error || "Undo failed");
   }
@@ -1042,14 +1699,52 @@ function formatOpTime(timestamp) {
 }
 
 function getOpStatusLabel(op) {
-  if (op.status === "running") return "Running";
+  if (op.status === "running") return op.paused ? "Paused" : "Running";
   if (op.status === "completed") return "Done";
   if (op.status === "failed") return "Failed";
   if (op.status === "cancelled") return "Cancelled";
-  if (queuePaused && op.status === "queued") return "Paused";
+  if (op.status === "interrupted") return "Interrupted";
+  if (
+    op.status === "queued" &&
+    (queuePaused || (op.lanes && isOperationLanePaused(op)))
+  ) {
+    return "Paused";
+  }
   return "Queued";
 }
 
+function formatOpBytes(bytes) {
+  return bytes > 0 ? formatSize(bytes) : "0 B";
+}
+
+function formatOpDuration(seconds) {
+  if (!Number.isFinite(seconds)) return "";
+  const total = Math.max(1, Math.round(seconds));
+  if (total < 60) return `${total}s`;
+  const minutes = Math.floor(total / 60);
+  if (minutes < 60) return `${minutes}m ${total % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatOpDetails(details) {
+  const parts = [];
+  if (details.filesTotal) {
+    parts.push(`${details.filesDone} of ${details.filesTotal} files`);
+  }
+  if (details.bytesTotal) {
+    parts.push(
+      `${formatOpBytes(details.bytesDone)} of ${formatOpBytes(details.bytesTotal)}`,
+    );
+  }
+  if (details.bytesPerSecond > 0) {
+    parts.push(`${formatOpBytes(details.bytesPerSecond)}/s`);
+  }
+  if (details.etaSeconds != null && details.bytesDone < details.bytesTotal) {
+    parts.push(`${formatOpDuration(details.etaSeconds)} left`);
+  }
+  return parts.join(" • ");
+}
+
 function buildOpsItem(op, allowCancel) {
   const item = document.createElement("div");
   item.className = "ops-item";
@@ -1073,9 +1768,36 @@ function buildOpsItem(op, allowCancel) {
   header.appendChild(title);
   header.appendChild(meta);
 
-  if (allowCancel && (op.status === "queued" || op.status === "running")) {
+  if (op.status === "interrupted") {
+    header.appendChild(buildInterruptedActions(op));
+  } else if (
+    allowCancel &&
+    (op.status === "queued" || op.status === "running")
+  ) {
     const actions = document.createElement("div");
     actions.className = "ops-item-actions";
+    if (op.controllable && op.status === "running") {
+      const limitBtn = document.createElement("button");
+      limitBtn.className = "ops-item-btn";
+      limitBtn.textContent = op.bytesPerSecondLimit
+        ? `${formatOpBytes(op.bytesPerSecondLimit)}/s`
+        : "No limit";
+      limitBtn.title = "Change speed limit";
+      limitBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        cycleOperationThrottle(op);
+      });
+      actions.appendChild(limitBtn);
+
+      const pauseBtn = document.createElement("button");
+      pauseBtn.className = "ops-item-btn";
+      pauseBtn.textContent = op.paused ? "Resume" : "Pause";
+      pauseBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        toggleOperationPause(op);
+      });
+      actions.appendChild(pauseBtn);
+    }
     const cancelBtn = document.createElement("button");
     cancelBtn.className = "ops-item-btn";
     cancelBtn.textContent = "Cancel";
@@ -1097,6 +1819,43 @@ function buildOpsItem(op, allowCancel) {
     fill.style.width = `${Math.max(0, Math.min(100, op.progress))}%`;
     progress.appendChild(fill);
     item.appendChild(progress);
+
+    if (op.details) {
+      if (op.details.currentFile) {
+        const file = document.createElement("div");
+        file.className = "ops-item-meta ops-item-file";
+        file.textContent = op.details.currentFile;
+        file.title = op.details.currentFile;
+        item.appendChild(file);
+      }
+      const detailText = formatOpDetails(op.details);
+      if (detailText) {
+        const detail = document.createElement("div");
+        detail.className = "ops-item-meta";
+        detail.textContent = detailText;
+        item.appendChild(detail);
+      }
+    }
+  }
+
+  if (op.summary && op.status !== "running") {
+    const summary = document.createElement("div");
+    summary.className = "ops-item-meta";
+    summary.textContent = op.summary;
+    item.appendChild(summary);
+  }
+
+  if (op.verification && op.status !== "running") {
+    item.appendChild(buildVerificationReport(op.verification));
+  }
+
+  if (op.status === "interrupted" && op.journal) {
+    const progress = document.createElement("div");
+    progress.className = "ops-item-meta";
+    const total = op.journal.items.length;
+    const done = (op.results || []).length;
+    progress.textContent = `${done} of ${total} item${total === 1 ? "" : "s"} finished before the app closed`;
+    item.appendChild(progress);
   }
 
   if (op.status === "failed" && op.error) {
@@ -1109,23 +1868,312 @@ function buildOpsItem(op, allowCancel) {
   return item;
 }
 
+const OPS_THROTTLE_STEPS = [0, 50, 20, 10, 5, 1].map(
+  (mb) => mb * 1024 * 1024,
+);
+
+async function toggleOperationPause(op) {
+  if (!window.fileManager?.pauseOperation) return;
+  const paused = !op.paused;
+  const result = paused
+    ? await window.fileManager.pauseOperation(op.id)
+    : await window.fileManager.resumeOperation(op.id);
+  if (result?.success) {
+    op.paused = paused;
+    op.pausedByLane = false;
+    scheduleOpsRender();
+  }
+}
+
+async function cycleOperationThrottle(op) {
+  if (!window.fileManager?.setOperationThrottle) return;
+  const current = OPS_THROTTLE_STEPS.indexOf(op.bytesPerSecondLimit || 0);
+  const next = OPS_THROTTLE_STEPS[(current + 1) % OPS_THROTTLE_STEPS.length];
+  const result = await window.fileManager.setOperationThrottle(op.id, next);
+  if (result?.success) {
+    op.bytesPerSecondLimit = next;
+    scheduleOpsRender();
+  }
+}
+
+function buildVerificationReport(verification) {
+  const report = document.createElement("div");
+  report.className = "ops-item-meta";
+  const mismatches = verification.mismatches || [];
+  if (mismatches.length === 0) {
+    report.textContent = `Verified ${verification.checked} file${verification.checked === 1 ? "" : "s"} (SHA-256)`;
+    return report;
+  }
+
+  report.classList.add("ops-item-warning");
+  report.textContent = `${mismatches.length} of ${verification.checked} file(s) failed verification:`;
+  const VISIBLE_MISMATCHES = 5;
+  mismatches.slice(0, VISIBLE_MISMATCHES).forEach((mismatch) => {
+    const line = document.createElement("div");
+    line.className = "ops-item-file";
+    line.textContent = mismatch.error
+      ? `${mismatch.dest} (${mismatch.error})`
+      : mismatch.dest;
+    line.title = mismatch.dest;
+    report.appendChild(line);
+  });
+  if (mismatches.length > VISIBLE_MISMATCHES) {
+    const more = document.createElement("div");
+    more.textContent = `+${mismatches.length - VISIBLE_MISMATCHES} more`;
+    report.appendChild(more);
+  }
+  return report;
+}
+
+function buildInterruptedActions(op) {
+  const actions = document.createElement("div");
+  actions.className = "ops-item-actions";
+
+  const addButton = (text, onClick) => {
+    const btn = document.createElement("button");
+    btn.className = "ops-item-btn";
+    btn.textContent = text;
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    actions.appendChild(btn);
+  };
+
+  addButton("Resume", () => resumeInterruptedOperation(op));
+  if ((op.results && op.results.length > 0) || op.pending) {
+    addButton("Roll Back", () => rollbackInterruptedOperation(op));
+  }
+  addButton("Dismiss", () => dismissInterruptedOperation(op));
+  return actions;
+}
+
+function serializeOperation(op) {
+  const entry = {
+    id: op.id,
+    label: op.label,
+    status: op.status,
+    createdAt: op.createdAt,
+    startedAt: op.startedAt,
+    finishedAt: op.finishedAt,
+  };
+  if (op.error) entry.error = op.error;
+  if (op.summary) entry.summary = op.summary;
+  if (op.journal) entry.journal = op.journal;
+  return entry;
+}
+
+function persistOperationJournal() {
+  if (!operationJournalReady || !window.fileManager?.saveOperationJournal) {
+    return;
+  }
+  const pending = [...activeOperations.values(), ...operationQueue];
+  const queue = [
+    ...interruptedOperations,
+    ...pending.filter((op) => op.journal),
+  ].map(serializeOperation);
+  const historyEntries = operationHistory.map((op) => {
+    const entry = serializeOperation(op);
+    delete entry.journal;
+    return entry;
+  });
+  window.fileManager
+    .saveOperationJournal({ queue, history: historyEntries })
+    .catch(() => {});
+}
+
+async function restoreOperationJournal() {
+  if (!window.fileManager?.loadOperationJournal) return;
+  try {
+    const journal = await window.fileManager.loadOperationJournal();
+    for (const entry of journal.history || []) {
+      operationHistory.push(entry);
+    }
+    if (operationHistory.length > OPERATION_HISTORY_LIMIT) {
+      operationHistory.length = OPERATION_HISTORY_LIMIT;
+    }
+    for (const entry of journal.queue || []) {
+      if (!entry.journal || !Array.isArray(entry.journal.items)) continue;
+      interruptedOperations.push({ ...entry, status: "interrupted" });
+    }
+  } catch (error) {
+    console.error("Failed to load operation journal:", error);
+  }
+  operationJournalReady = true;
+  persistOperationJournal();
+
+  if (interruptedOperations.length > 0) {
+    setOpsPanelVisible(true);
+    showNotification(
+      `${interruptedOperations.length} operation(s) were interrupted. Resume or roll back from the Operations panel.`,
+    );
+  }
+}
+
+function removeInterruptedOperation(op) {
+  const index = interruptedOperations.indexOf(op);
+  if (index !== -1) interruptedOperations.splice(index, 1);
+}
+
+function archiveInterruptedOperation(op, status, extra = {}) {
+  operationHistory.unshift({
+    ...serializeOperation(op),
+    status,
+    finishedAt: Date.now(),
+    ...extra,
+  });
+  if (operationHistory.length > OPERATION_HISTORY_LIMIT) {
+    operationHistory.length = OPERATION_HISTORY_LIMIT;
+  }
+}
+
+async function resumeInterruptedOperation(op) {
+  removeInterruptedOperation(op);
+  if (op.pending) {
+    try {
+      const result = await window.fileManager.rollbackInterruptedOperation({
+        journal: op.journal,
+        results: [],
+        pending: op.pending,
+      });
+      if (!result || !result.success) {
+        throw new Error(result?.error || "Roll back failed");
+      }
+    } catch (error) {
+      showNotification(
+        `Could not restore the interrupted item: ${error.message}`,
+        "error",
+      );
+    }
+  }
+  const finished = new Set(
+    (op.results || [])
+      .filter((result) => result.status !== "failed")
+      .map((result) => result.source),
+  );
+  const items = op.journal.items.filter((item) => !finished.has(item.source));
+  if (items.length === 0) {
+    archiveInterruptedOperation(op, "completed");
+    persistOperationJournal();
+    scheduleOpsRender();
+    return;
+  }
+  enqueueBatchFileOperation({
+    label: op.label,
+    operation: op.journal.operation,
+    items,
+    errorMessage: "Resume failed",
+    onComplete: async (completedItems) => {
+      showNotification(`Resumed ${completedItems.length} item(s)`);
+      refresh();
+    },
+  });
+}
+
+function rollbackInterruptedOperation(op) {
+  removeInterruptedOperation(op);
+  enqueueOperation({
+    label: `Roll back: ${op.label}`,
+    lanePath: getBatchLanePaths(op.journal.items),
+    run: async () => {
+      const result = await window.fileManager.rollbackInterruptedOperation({
+        journal: op.journal,
+        results: op.results || [],
+        pending: op.pending || null,
+      });
+      if (!result || !result.success) {
+        throw new Error(result?.error || "Roll back failed");
+      }
+      return result;
+    },
+    onSuccess: async (result) => {
+      const kept = result.leftInPlace || [];
+      showNotification(
+        kept.length > 0
+          ? `Rolled back; ${kept.length} item(s) could not be reverted safely and were left in place`
+          : "Rolled back interrupted operation",
+      );
+      refresh();
+    },
+    onError: (error) => {
+      showNotification(error?.message || "Roll back failed", "error");
+    },
+  });
+  persistOperationJournal();
+}
+
+function dismissInterruptedOperation(op) {
+  removeInterruptedOperation(op);
+  archiveInterruptedOperation(op, "cancelled");
+  persistOperationJournal();
+  scheduleOpsRender();
+}
+
+function buildOpsLane(lane, label, ops) {
+  const group = document.createElement("div");
+  group.className = "ops-lane";
+
+  const header = document.createElement("div");
+  header.className = "ops-lane-header";
+
+  const title = document.createElement("div");
+  title.className = "ops-lane-title";
+  title.textContent = label;
+  title.title = label;
+  header.appendChild(title);
+
+  if (lane) {
+    const paused = pausedLanes.has(lane);
+    const toggle = document.createElement("button");
+    toggle.className = "ops-item-btn";
+    toggle.textContent = paused ? "Resume" : "Pause";
+    toggle.title = paused ? "Resume this device" : "Pause this device";
+    toggle.addEventListener("click", (e) => {
+      e.stopPropagation();
+      setLanePaused(lane, !paused);
+    });
+    header.appendChild(toggle);
+  }
+
+  group.appendChild(header);
+  ops.forEach((op) => {
+    group.appendChild(buildOpsItem(op, true));
+  });
+  return group;
+}
+
 function renderOperationsPanel() {
   if (!opsPanel || !opsQueueList || !opsHistoryList) return;
 
-  const queueItems = [];
-  if (activeOperation) queueItems.push(activeOperation);
-  queueItems.push(...operationQueue);
-
   opsQueueList.innerHTML = "";
-  if (queueItems.length === 0) {
+
+  interruptedOperations.forEach((op) => {
+    opsQueueList.appendChild(buildOpsItem(op, false));
+  });
+
+  const lanes = new Map();
+  const addToLane = (op) => {
+    const key = op.lane || "";
+    if (!lanes.has(key)) {
+      lanes.set(key, {
+        label: op.lane ? op.laneLabel || op.lane : "Preparing",
+        ops: [],
+      });
+    }
+    lanes.get(key).ops.push(op);
+  };
+  activeOperations.forEach(addToLane);
+  operationQueue.forEach(addToLane);
+
+  lanes.forEach((group, lane) => {
+    opsQueueList.appendChild(buildOpsLane(lane, group.label, group.ops));
+  });
+
+  if (interruptedOperations.length === 0 && lanes.size === 0) {
     const empty = document.createElement("div");
     empty.className = "ops-empty";
     empty.textContent = "No queued operations";
     opsQueueList.appendChild(empty);
-  } else {
-    queueItems.forEach((op) => {
-      opsQueueList.appendChild(buildOpsItem(op, true));
-    });
   }
 
   opsHistoryList.innerHTML = "";
@@ -1163,6 +2211,61 @@ function setQueuePaused(paused) {
   }
 }
 
+function isOperationLanePaused(op) {
+  return (op.lanes || []).some((lane) => pausedLanes.has(lane));
+}
+
+async function setLanePaused(lane, paused) {
+  if (paused) {
+    pausedLanes.add(lane);
+  } else {
+    pausedLanes.delete(lane);
+  }
+  scheduleOpsRender();
+
+  for (const op of getActiveOperations()) {
+    if (!op.lanes?.includes(lane) || !window.fileManager?.pauseOperation) {
+      continue;
+    }
+    if (paused && !op.paused) {
+      const result = await window.fileManager.pauseOperation(op.id);
+      if (result?.success) {
+        op.paused = true;
+        op.pausedByLane = true;
+      }
+    } else if (!paused && op.pausedByLane && !isOperationLanePaused(op)) {
+      const result = await window.fileManager.resumeOperation(op.id);
+      if (result?.success) {
+        op.paused = false;
+        op.pausedByLane = false;
+      }
+    }
+  }
+  scheduleOpsRender();
+
+  if (!paused) {
+    processOperationQueue();
+  }
+}
+
+function getActiveOperations() {
+  return Array.from(activeOperations.values());
+}
+
+function findActiveOperation(id) {
+  return getActiveOperations().find((op) => op.id === id) || null;
+}
+
+async function resolveOperationLane(op) {
+  const fallback = { lane: "default", label: "Other", lanes: ["default"] };
+  if (!op.lanePath || !window.fileManager?.getOperationLane) return fallback;
+  try {
+    return (await window.fileManager.getOperationLane(op.lanePath)) || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
 function setupOperationsPanel() {
   if (opsToggleBtn) {
     opsToggleBtn.addEventListener("click", (e) => {
@@ -1190,6 +2293,7 @@ function setupOperationsPanel() {
     opsClearBtn.addEventListener("click", (e) => {
       e.stopPropagation();
       operationHistory.length = 0;
+      persistOperationJournal();
       renderOperationsPanel();
     });
   }
@@ -1203,9 +2307,16 @@ function enqueueOperation(entry) {
     createdAt: Date.now(),
     ...entry,
   };
+  op.lane = null;
   operationQueue.push(op);
+  persistOperationJournal();
   scheduleOpsRender();
-  processOperationQueue();
+  resolveOperationLane(op).then(({ lane, label, lanes }) => {
+    op.lane = lane;
+    op.laneLabel = label;
+    op.lanes = lanes || [lane];
+    processOperationQueue();
+  });
   return op;
 }
 
@@ -1219,31 +2330,47 @@ async function cancelOperation(id) {
     if (operationHistory.length > OPERATION_HISTORY_LIMIT) {
       operationHistory.length = OPERATION_HISTORY_LIMIT;
     }
+    persistOperationJournal();
     scheduleOpsRender();
     return;
   }
 
-  if (activeOperation && activeOperation.id === id) {
-    activeOperation.cancelRequested = true;
-    if (typeof activeOperation.cancel === "function") {
-      await activeOperation.cancel(activeOperation);
+  const active = findActiveOperation(id);
+  if (active) {
+    active.cancelRequested = true;
+    if (typeof active.cancel === "function") {
+      await active.cancel(active);
     }
   }
 }
 
-async function processOperationQueue() {
-  if (queuePaused || activeOperation || operationQueue.length === 0) {
-    scheduleOpsRender();
-    return;
+function processOperationQueue() {
+  if (!queuePaused) {
+    const busyLanes = new Set(
+      getActiveOperations().flatMap((active) => active.lanes),
+    );
+    for (const op of [...operationQueue]) {
+      if (!op.lane) break;
+      const blocked = op.lanes.some((lane) => busyLanes.has(lane));
+      if (!blocked && !isOperationLanePaused(op)) {
+        runQueuedOperation(op);
+      }
+      op.lanes.forEach((lane) => busyLanes.add(lane));
+    }
   }
+  scheduleOpsRender();
+}
 
-  const op = operationQueue.shift();
-  if (!op) return;
+async function runQueuedOperation(op) {
+  const index = operationQueue.indexOf(op);
+  if (index === -1) return;
+  operationQueue.splice(index, 1);
 
-  activeOperation = op;
+  activeOperations.set(op.id, op);
   op.status = "running";
   op.startedAt = Date.now();
   op.progress = op.progress ?? 0;
+  persistOperationJournal();
 
   if (op.usesProgress) {
     startProgress();
@@ -1274,15 +2401,16 @@ async function processOperationQueue() {
     }
   } finally {
     op.finishedAt = Date.now();
-    if (op.usesProgress) {
-      finishProgress();
-    }
     if (op.status !== "running") {
-      activeOperation = null;
+      activeOperations.delete(op.id);
+      if (op.usesProgress) {
+        finishProgress();
+      }
       operationHistory.unshift(op);
       if (operationHistory.length > OPERATION_HISTORY_LIMIT) {
         operationHistory.length = OPERATION_HISTORY_LIMIT;
       }
+      persistOperationJournal();
       scheduleOpsRender();
       processOperationQueue();
     }
@@ -1301,6 +2429,7 @@ const MAX_VIEW_SETTINGS_CACHE_ENTRIES = 100;
 const MAX_HISTORY_LENGTH = 50;
 const MAX_ITEMS_BEFORE_VIRTUAL_SCROLL = 200;
 const MAX_LOADED_THUMBNAILS = 50;
+const MAX_ARCHIVE_PREVIEW_BYTES = 200 * 1024 * 1024;
 const groupHeaderRafMap = new WeakMap();
 
 function trimCache(cache, maxEntries) {
@@ -1540,7 +2669,9 @@ const fileTypes = {
   archive: {
     icon: icons.archive,
     color: "#ff5555",
-    extensions: ["zip", "rar", "7z", "tar", "gz", "bz2", "xz"],
+    extensions: [
+      ...new Set(ARCHIVE_EXTENSIONS.map((ext) => ext.split(".").pop())),
+    ],
   },
   code: {
     icon: icons.code,
@@ -1581,6 +2712,8 @@ const fileTypes = {
 let fileList;
 let pathSegments;
 let searchInput;
+let searchScopeBtn;
+let searchContentBtn;
 let itemCountEl;
 let selectedCountEl;
 let currentPathEl;
@@ -1631,7 +2764,10 @@ const undoStack = [];
 const OPERATION_HISTORY_LIMIT = 50;
 const operationQueue = [];
 const operationHistory = [];
-let activeOperation = null;
+const interruptedOperations = [];
+let operationJournalReady = false;
+const activeOperations = new Map();
+const pausedLanes = new Set();
 let queuePaused = false;
 let operationSequence = 0;
 let opsPanelVisible = false;
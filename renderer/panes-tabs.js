@@ -6,6 +6,8 @@ function cacheDomRefs() {
   fileList = fileListLeft;
   pathSegments = document.getElementById("path-segments");
   searchInput = document.getElementById("search-input");
+  searchScopeBtn = document.getElementById("search-scope-btn");
+  searchContentBtn = document.getElementById("search-content-btn");
   itemCountEl = document.getElementById("item-count");
   selectedCountEl = document.getElementById("selected-count");
   currentPathEl = document.getElementById("current-path");
@@ -179,6 +181,10 @@ function loadFullPreferences() {
     calculateFolderSizes,
   );
   showPreviewPane = readLocalStorageBool("showPreviewPane", showPreviewPane);
+  preserveMetadata = readLocalStorageBool("preserveMetadata", preserveMetadata);
+  verifyAfterCopy = readLocalStorageBool("verifyAfterCopy", verifyAfterCopy);
+  searchRecursive = readLocalStorageBool("searchRecursive", searchRecursive);
+  searchContents = readLocalStorageBool("searchContents", searchContents);
   thumbnailSize = readLocalStorageNumber("thumbnailSize", thumbnailSize);
   updateThumbnailSizeCSS();
   viewSettingsCache = readLocalStorageJson("folderViewSettings", {});
@@ -380,10 +386,7 @@ function setActivePane(id, options = {}) {
   if (shouldUpdateUi) {
     applyViewSettings(currentPath);
     updateUI();
-    isInTrash =
-      Boolean(commonDirs && commonDirs.trash) &&
-      normalizePathForCompare(currentPath) ===
-        normalizePathForCompare(commonDirs.trash);
+    isInTrash = isTrashPath(currentPath);
     updateToolbarForTrash();
     syncQuickAccessHighlight();
     syncTagsHighlight();
@@ -483,6 +486,11 @@ async function ensurePaneLoaded(paneId, fallbackPath) {
     pane.historyIndex = 0;
   }
 
+  if (isVirtualViewPath(pane.path)) {
+    if (activePaneId === paneId) await navigateTo(pane.path);
+    return;
+  }
+
   try {
     const result = await window.fileManager.getDirectoryContents(pane.path);
     if (result.success) {
@@ -630,6 +638,19 @@ async function bootstrapFullApp() {
     renderTagsSidebar();
     syncTagsHighlight();
   });
+  restoreOperationJournal();
+  window.fileManager
+    .getTrashPolicy()
+    .then((policy) => {
+      trashPolicy = policy;
+    })
+    .catch(() => {});
+  window.fileManager
+    .getFileIndexStatus()
+    .then((status) => {
+      fileIndexStatus = status;
+    })
+    .catch(() => {});
 }
 
 async function initializeTabs() {
@@ -650,12 +671,35 @@ async function initializeTabs() {
 
 function setupProgressListener() {
   if (!window.fileManager?.onFileOperationProgress) return;
-  window.fileManager.onFileOperationProgress((percent) => {
-    setProgress(percent);
-    if (activeOperation) {
-      activeOperation.progress = percent;
-      scheduleOpsRender();
+  window.fileManager.onFileOperationProgress((progress) => {
+    const details = typeof progress === "number" ? null : progress;
+    const percent = details ? details.percent : progress;
+    const op = details?.operationId
+      ? findActiveOperation(details.operationId)
+      : getActiveOperations().find((candidate) => candidate.usesProgress);
+    if (!op) return;
+    if (details) {
+      op.details = details;
+      op.paused = Boolean(details.paused);
+      op.bytesPerSecondLimit = details.bytesPerSecondLimit || 0;
     }
+    setProgress(op, percent);
+  });
+}
+
+function setupConflictListener() {
+  if (!window.fileManager?.onFileOperationConflict) return;
+  window.fileManager.onFileOperationConflict(async (conflict) => {
+    const resolution = await showConflictModal(conflict);
+    await window.fileManager.resolveFileConflict(conflict.id, resolution);
+  });
+}
+
+function setupTrashPurgeListener() {
+  if (!window.fileManager?.onTrashPurgeDue) return;
+  window.fileManager.onTrashPurgeDue(() => {
+    if (pickerMode) return;
+    enqueueTrashOperation("purge");
   });
 }
 
@@ -717,6 +761,10 @@ async function init() {
   }
 
   setupProgressListener();
+  setupConflictListener();
+  setupTrashPurgeListener();
+  setupSearchResultsListener();
+  setupFileIndexStatusListener();
 }
 
 function initPickerMode(mode, multiple, defaultFilename) {
@@ -791,6 +839,7 @@ function initPickerMode(mode, multiple, defaultFilename) {
         localStorage.setItem("showHidden", String(showHidden));
       } catch {}
       renderFiles();
+      restartActiveSearch();
     });
   }
 
@@ -43,12 +43,37 @@ function setupSidebarToggle() {
 function setupSearchInput() {
   if (!searchInput) return;
   searchInput.addEventListener("input", () => {
+    if (searchRecursive || searchContents) {
+      scheduleRecursiveSearch();
+      return;
+    }
     if (splitViewEnabled && !pickerMode) {
       renderAllPanes();
     } else {
       renderFiles();
     }
   });
+
+  if (searchScopeBtn) {
+    updateSearchScopeUI();
+    searchScopeBtn.addEventListener("click", () => {
+      searchRecursive = !searchRecursive;
+      try {
+        localStorage.setItem("searchRecursive", String(searchRecursive));
+      } catch {}
+      startRecursiveSearch();
+    });
+  }
+
+  if (searchContentBtn) {
+    searchContentBtn.addEventListener("click", () => {
+      searchContents = !searchContents;
+      try {
+        localStorage.setItem("searchContents", String(searchContents));
+      } catch {}
+      startRecursiveSearch();
+    });
+  }
 }
 
 function setupSortSelect() {
@@ -37,7 +37,24 @@ async function cutSelected() {
 }
 
 async function paste() {
-  if (clipboardItems.length === 0) return;
+  if (
+    clipboardItems.length === 0 ||
+    currentPath === TRASH_VIEW_PATH ||
+    isSavedSearchPath(currentPath)
+  ) {
+    return;
+  }
+
+  if (isArchiveView()) {
+    const move = clipboardOperation === "cut";
+    addItemsToArchive([...clipboardItems], currentPath, { move });
+    if (move) {
+      clipboardItems = [];
+      clipboardOperation = null;
+      clipboardSourcePaneId = null;
+    }
+    return;
+  }
 
   const opType = clipboardOperation;
   const itemsToPaste = [...clipboardItems];
@@ -55,65 +72,20 @@ async function paste() {
       ? formatOperationLabel("Copy", itemsToPaste.length)
       : formatOperationLabel("Move", itemsToPaste.length);
 
-  enqueueOperation({
+  enqueueBatchFileOperation({
     label,
-    usesProgress: true,
-    run: async (op) => {
-      const result = await window.fileManager.batchFileOperation(
-        batchItems,
-        opType,
-        op.id,
-      );
-      if (!result || !result.success) {
-        const error = new Error(result?.error || "Paste failed");
-        if (result?.cancelled) error.cancelled = true;
-        throw error;
-      }
-      return result;
-    },
-    cancel: async (op) => {
-      if (window.fileManager.cancelOperation) {
-        await window.fileManager.cancelOperation(op.id);
-      }
-    },
-    onSuccess: async () => {
-      if (opType === "copy") {
-        const copiedPaths = batchItems.map((item) => item.dest);
-        pushUndo({
-          label: formatUndoLabel("Copy", copiedPaths.length),
-          successMessage: "Undid copy",
-          undo: async () => {
-            await deletePathsPermanently(copiedPaths);
-            refresh();
-          },
-        });
-      } else if (opType === "cut") {
-        const movedItems = batchItems.map((item) => ({
-          source: item.dest,
-          dest: item.source,
-        }));
-        pushUndo({
-          label: formatUndoLabel("Move", movedItems.length),
-          successMessage: "Undid move",
-          undo: async () => {
-            await runBatchOperation(movedItems, "move");
-            refresh();
-          },
-        });
-      }
+    operation: opType === "copy" ? "copy" : "move",
+    items: batchItems,
+    errorMessage: "Paste failed",
+    onComplete: async (completedItems) => {
       showNotification(
-        `${opType === "copy" ? "Copied" : "Moved"} ${itemsToPaste.length} item(s)`,
+        `${opType === "copy" ? "Copied" : "Moved"} ${completedItems.length} item(s)`,
       );
       refresh();
       if (opType === "cut" && sourcePaneId && sourcePaneId !== activePaneId) {
         await refreshPane(sourcePaneId);
       }
     },
-    onError: (error) => {
-      if (!error?.cancelled) {
-        showNotification(error?.message || "Paste failed", "error");
-      }
-    },
   });
 
   if (opType === "cut") {
@@ -134,7 +106,30 @@ async function handleFileDrop(
   sourcePaneId = null,
   targetPaneId = activePaneId,
 ) {
-  if (sourcePaths.length === 0) return;
+  if (
+    sourcePaths.length === 0 ||
+    targetDir === TRASH_VIEW_PATH ||
+    isSavedSearchPath(targetDir)
+  ) {
+    return;
+  }
+
+  if (isArchiveView(targetPaneId)) {
+    const normTarget = normalizePathForCompare(targetDir);
+    const sources = sourcePaths.filter(
+      (p) => !isPathWithin(normalizePathForCompare(p), normTarget),
+    );
+    if (sources.length === 0) return;
+    if (sourcePaneId && isArchiveView(sourcePaneId)) {
+      showNotification(
+        "Items inside an archive must be extracted before adding them to another archive",
+        "error",
+      );
+      return;
+    }
+    addItemsToArchive(sources, targetDir);
+    return;
+  }
 
   const normTargetDir = normalizePathForCompare(targetDir);
   const isWindows = window.fileManager.platform === "win32";
@@ -181,65 +176,20 @@ async function handleFileDrop(
         isCopy ? "Copy" : "Move",
         batchItems.length,
       );
-      enqueueOperation({
+      enqueueBatchFileOperation({
         label,
-        usesProgress: true,
-        run: async (op) => {
-          const result = await window.fileManager.batchFileOperation(
-            batchItems,
-            isCopy ? "copy" : "move",
-            op.id,
-          );
-          if (!result || !result.success) {
-            const error = new Error(result?.error || "Drop failed");
-            if (result?.cancelled) error.cancelled = true;
-            throw error;
-          }
-          return result;
-        },
-        cancel: async (op) => {
-          if (window.fileManager.cancelOperation) {
-            await window.fileManager.cancelOperation(op.id);
-          }
-        },
-        onSuccess: async () => {
-          if (isCopy) {
-            const copiedPaths = batchItems.map((item) => item.dest);
-            pushUndo({
-              label: formatUndoLabel("Copy", copiedPaths.length),
-              successMessage: "Undid copy",
-              undo: async () => {
-                await deletePathsPermanently(copiedPaths);
-                refresh();
-              },
-            });
-          } else {
-            const movedItems = batchItems.map((item) => ({
-              source: item.dest,
-              dest: item.source,
-            }));
-            pushUndo({
-              label: formatUndoLabel("Move", movedItems.length),
-              successMessage: "Undid move",
-              undo: async () => {
-                await runBatchOperation(movedItems, "move");
-                refresh();
-              },
-            });
-          }
+        operation: isCopy ? "copy" : "move",
+        items: batchItems,
+        errorMessage: "Drop failed",
+        onComplete: async (completedItems) => {
           showNotification(
-            `${isCopy ? "Copied" : "Moved"} ${batchItems.length} item(s)`,
+            `${isCopy ? "Copied" : "Moved"} ${completedItems.length} item(s)`,
           );
           refresh();
           if (!isCopy && sourcePaneId && sourcePaneId !== targetPaneId) {
             await refreshPane(sourcePaneId);
           }
         },
-        onError: (error) => {
-          if (!error?.cancelled) {
-            showNotification(error?.message || "Drop failed", "error");
-          }
-        },
       });
       showNotification(
         `${isCopy ? "Copy" : "Move"} queued (${batchItems.length} item(s))`,
@@ -262,7 +212,7 @@ async function openLocationViaSystemPicker() {
 }
 
 async function renameSelected() {
-  if (selectedItems.size !== 1) return;
+  if (selectedItems.size !== 1 || currentPath === TRASH_VIEW_PATH) return;
 
   const oldPath = Array.from(selectedItems)[0];
   const item = currentItems.find((i) => i.path === oldPath);
@@ -284,6 +234,11 @@ async function renameSelected() {
 
   if (validated.name === item.name) return;
 
+  if (isArchiveView()) {
+    renameArchiveEntry(oldPath, validated.name);
+    return;
+  }
+
   try {
     const result = await window.fileManager.renameItem(oldPath, validated.name);
     if (result && result.success) {
@@ -320,6 +275,14 @@ async function renameSelected() {
 
 async function deleteSelected(options = {}) {
   if (selectedItems.size === 0) return;
+  if (currentPath === TRASH_VIEW_PATH) {
+    await deleteSelectedFromTrash();
+    return;
+  }
+  if (isArchiveView()) {
+    await deleteSelectedFromArchive();
+    return;
+  }
 
   const count = selectedItems.size;
 
@@ -428,34 +391,228 @@ async function deleteSelected(options = {}) {
   }
 }
 
+async function deleteSelectedFromTrash() {
+  const paths = Array.from(selectedItems);
+  const confirmed = await showConfirmModal(
+    "Permanently delete?",
+    `This will permanently delete ${paths.length} item(s). This cannot be undone.`,
+    "Delete",
+  );
+  if (!confirmed) return;
+
+  try {
+    const result = await window.fileManager.deleteTrashedEntries(paths);
+    const deletedCount = result?.deleted?.length || 0;
+    if (result?.failed?.length) {
+      showNotification(
+        `Failed to delete ${result.failed.length} item(s): ${result.failed[0].error}`,
+        "error",
+      );
+    }
+    if (deletedCount > 0) {
+      showNotification(`Permanently deleted ${deletedCount} item(s)`);
+    }
+    selectedItems.clear();
+    refresh();
+  } catch (error) {
+    showNotification("Error: " + error.message, "error");
+  }
+}
+
+async function restoreSelectedFromTrash(targetDir = null) {
+  if (currentPath !== TRASH_VIEW_PATH || selectedItems.size === 0) return;
+
+  try {
+    const result = await window.fileManager.restoreTrashedEntries(
+      Array.from(selectedItems),
+      targetDir,
+    );
+    const restored = result?.restored || [];
+    if (result?.failed?.length) {
+      showNotification(
+        `Failed to restore ${result.failed.length} item(s): ${result.failed[0].error}`,
+        "error",
+      );
+    } else if (!result?.success) {
+      showNotification(
+        "Error: " + (result?.error || "Restore failed"),
+        "error",
+      );
+    }
+
+    if (restored.length > 0) {
+      pushUndo({
+        label: formatUndoLabel("Restore", restored.length),
+        successMessage: "Moved restored items back to Trash",
+        undo: async () => {
+          for (const entry of restored) {
+            const trashResult = await window.fileManager.trashItem(entry.to);
+            if (!trashResult || !trashResult.success) {
+              throw new Error(trashResult?.error || "Undo restore failed");
+            }
+          }
+          refresh();
+        },
+      });
+      showNotification(`Restored ${restored.length} item(s)`);
+    }
+    selectedItems.clear();
+    refresh();
+  } catch (error) {
+    showNotification("Error: " + error.message, "error");
+  }
+}
+
+async function restoreSelectedFromTrashTo() {
+  if (currentPath !== TRASH_VIEW_PATH || selectedItems.size === 0) return;
+
+  const result = await window.fileManager.showOpenDialog({
+    properties: ["openDirectory", "createDirectory", "showHiddenFiles"],
+    title: "Restore To",
+  });
+  if (!result || result.canceled || result.filePaths.length === 0) return;
+
+  await restoreSelectedFromTrash(result.filePaths[0]);
+}
+
+function isArchiveView(paneId = activePaneId) {
+  return Boolean(panes[paneId]?.isArchive);
+}
+
+async function withArchivePassword(request) {
+  let result = await request();
+  while (result && !result.success && result.needsPassword) {
+    const password = await showTextInputModal(
+      "Password Required",
+      `${result.error}. Enter the password:`,
+      "",
+      "Unlock",
+      "password",
+    );
+    if (password === null) return { ...result, cancelled: true };
+    await window.fileManager.setArchivePassword(result.archivePath, password);
+    result = await request();
+  }
+  return result;
+}
+
+async function materializeArchiveEntry(item) {
+  const result = await withArchivePassword(() =>
+    window.fileManager.extractArchiveEntry(item.path, {
+      modified: item.modified,
+    }),
+  );
+  if (!result || !result.success) {
+    throw new Error(result?.error || "Cannot extract archive entry");
+  }
+  return { ...item, path: result.path, archiveEntryPath: item.path };
+}
+
+function addItemsToArchive(sourcePaths, targetPath, { move = false } = {}) {
+  if (sourcePaths.length === 0) return;
+  enqueueArchiveOperation({
+    label: formatOperationLabel(
+      move ? "Move to Archive" : "Add to Archive",
+      sourcePaths.length,
+    ),
+    errorMessage: "Adding to archive failed",
+    run: (operationId) =>
+      window.fileManager.archiveAddItems(targetPath, sourcePaths, operationId),
+    onSuccess: async (result) => {
+      const addedPaths = result.added || sourcePaths;
+      if (!move) {
+        showNotification(`Added ${addedPaths.length} item(s) to archive`);
+        refresh();
+        return;
+      }
+      const failed = [];
+      for (const p of addedPaths) {
+        const result = await window.fileManager.deleteItem(p);
+        if (!result?.success) failed.push(p);
+      }
+      if (failed.length > 0) {
+        showNotification(
+          `Moved into archive, but ${failed.length} original(s) could not be removed`,
+          "error",
+        );
+      } else {
+        showNotification(`Moved ${addedPaths.length} item(s) to archive`);
+      }
+      refresh();
+    },
+  });
+  showNotification(
+    `${move ? "Move" : "Add"} to archive queued (${sourcePaths.length} item(s))`,
+  );
+}
+
+function renameArchiveEntry(entryPath, newName) {
+  const viewPath = currentPath;
+  const viewPaneId = activePaneId;
+  enqueueArchiveOperation({
+    label: formatOperationLabel("Rename", 1, `"${newName}"`),
+    errorMessage: "Rename failed",
+    run: (operationId) =>
+      window.fileManager.archiveRenameEntry(entryPath, newName, operationId),
+    onSuccess: async (result) => {
+      showNotification(`Renamed to ${newName}`);
+      if (
+        activePaneId !== viewPaneId ||
+        normalizePathForCompare(currentPath) !==
+          normalizePathForCompare(viewPath)
+      ) {
+        return;
+      }
+      await navigateTo(currentPath);
+      if (result.newPath) {
+        selectedItems.clear();
+        selectedItems.add(result.newPath);
+        updateSelectionUI();
+      }
+    },
+  });
+}
+
+async function deleteSelectedFromArchive() {
+  const entryPaths = Array.from(selectedItems);
+  const confirmed = await showConfirmModal(
+    "Delete from archive?",
+    `This will permanently remove ${entryPaths.length} item(s) from the archive. This cannot be undone.`,
+    "Delete",
+  );
+  if (!confirmed) return;
+
+  enqueueArchiveOperation({
+    label: formatOperationLabel("Delete from Archive", entryPaths.length),
+    errorMessage: "Deleting from archive failed",
+    run: (operationId) =>
+      window.fileManager.archiveDeleteEntries(entryPaths, operationId),
+    onSuccess: () => {
+      showNotification(`Deleted ${entryPaths.length} item(s) from archive`);
+      selectedItems.clear();
+      refresh();
+    },
+  });
+}
+
+function getSelectedArchivePaths() {
+  return Array.from(selectedItems).filter(isArchivePath);
+}
+
 async function extractSelected() {
   if (selectedItems.size === 0) return;
-  const archiveExts = [
-    "zip",
-    "rar",
-    "7z",
-    "tar",
-    "gz",
-    "bz2",
-    "xz",
-    "tar.gz",
-    "tar.bz2",
-    "tar.xz",
-    "tgz",
-  ];
-
-  const archives = Array.from(selectedItems).filter((p) => {
-    const lower = p.toLowerCase();
-    return archiveExts.some((ext) => lower.endsWith(`.${ext}`));
-  });
+  const archives = getSelectedArchivePaths();
   if (archives.length === 0) return;
+  const destDir = currentPath;
 
   enqueueOperation({
     label: formatOperationLabel("Extract", archives.length),
     usesProgress: true,
+    lanePath: [destDir, ...archives],
     run: async (op) => {
       const extractedDirs = [];
       const failed = [];
+      const unsafe = [];
 
       for (const p of archives) {
         if (op.cancelRequested) {
@@ -463,9 +620,19 @@ async function extractSelected() {
           error.cancelled = true;
           throw error;
         }
-        const result = await window.fileManager.extractArchive(p, currentPath);
+        const result = await withArchivePassword(() =>
+          window.fileManager.extractArchive(p, destDir, op.id),
+        );
+        if (result.cancelled) {
+          const error = new Error("Extraction cancelled");
+          error.cancelled = true;
+          throw error;
+        }
         if (result.success) {
           if (result.outputDir) extractedDirs.push(result.outputDir);
+          if (result.skipped?.length) {
+            unsafe.push({ path: p, entries: result.skipped });
+          }
         } else {
           failed.push({
             path: p,
@@ -474,7 +641,12 @@ async function extractSelected() {
         }
       }
 
-      return { extractedDirs, failed };
+      return { extractedDirs, failed, unsafe };
+    },
+    cancel: async (op) => {
+      if (window.fileManager.cancelOperation) {
+        await window.fileManager.cancelOperation(op.id);
+      }
     },
     onSuccess: async (result) => {
       const uniqueDirs = Array.from(new Set(result.extractedDirs || []));
@@ -496,6 +668,18 @@ async function extractSelected() {
       } else {
         showNotification(`Extracted ${archives.length} item(s)`);
       }
+      for (const report of result.unsafe || []) {
+        const name = report.path.split(/[/\\]/).pop();
+        const count = report.entries.length;
+        const listed = report.entries
+          .slice(0, 3)
+          .map((entry) => `${entry.path} (${entry.reason})`)
+          .join(", ");
+        showNotification(
+          `${name}: skipped ${count} unsafe entr${count === 1 ? "y" : "ies"}: ${listed}${count > 3 ? ` and ${count - 3} more` : ""}`,
+          "error",
+        );
+      }
       refresh();
     },
     onError: (error) => {
@@ -508,6 +692,73 @@ async function extractSelected() {
   showNotification(`Extract queued (${archives.length} item(s))`);
 }
 
+async function testSelectedArchives() {
+  const archives = getSelectedArchivePaths();
+  if (archives.length === 0) return;
+
+  enqueueOperation({
+    label: formatOperationLabel("Test", archives.length),
+    usesProgress: true,
+    lanePath: archives,
+    run: async (op) => {
+      const reports = [];
+      for (const p of archives) {
+        const result = op.cancelRequested
+          ? { cancelled: true }
+          : await withArchivePassword(() =>
+              window.fileManager.testArchive(p, op.id),
+            );
+        if (result.cancelled) {
+          const error = new Error("Test cancelled");
+          error.cancelled = true;
+          throw error;
+        }
+        reports.push({ path: p, ...result });
+      }
+      return reports;
+    },
+    cancel: async (op) => {
+      if (window.fileManager.cancelOperation) {
+        await window.fileManager.cancelOperation(op.id);
+      }
+    },
+    onSuccess: (reports) => {
+      const damaged = reports.filter(
+        (report) => !report.success || report.errors.length > 0,
+      );
+      if (damaged.length === 0) {
+        showNotification(
+          archives.length === 1
+            ? `No errors found in ${archives[0].split(/[/\\]/).pop()}`
+            : `No errors found in ${archives.length} archives`,
+        );
+        return;
+      }
+      for (const report of damaged) {
+        const name = report.path.split(/[/\\]/).pop();
+        if (!report.success) {
+          showNotification(`${name}: ${report.error}`, "error");
+          continue;
+        }
+        const count = report.errors.length;
+        const listed = report.errors
+          .slice(0, 3)
+          .map((entry) => `${entry.path} (${entry.error})`)
+          .join(", ");
+        showNotification(
+          `${name}: ${count} corrupted entr${count === 1 ? "y" : "ies"}: ${listed}${count > 3 ? ` and ${count - 3} more` : ""}`,
+          "error",
+        );
+      }
+    },
+    onError: (error) => {
+      if (!error?.cancelled) {
+        showNotification(error?.message || "Archive test failed", "error");
+      }
+    },
+  });
+}
+
 async function compressSelected() {
   if (selectedItems.size === 0) return;
   const paths = Array.from(selectedItems);
@@ -516,13 +767,9 @@ async function compressSelected() {
     paths.length === 1 ? paths[0].split(/[/\\]/).pop() : "archive";
   defaultName = defaultName.replace(/\.[^/.]+$/, "") + ".zip";
 
-  const archiveName = await showTextInputModal(
-    "Compress",
-    "Archive name:",
-    defaultName,
-    "Compress",
-  );
-  if (!archiveName) return;
+  const options = await showCompressModal(defaultName);
+  if (!options) return;
+  const archiveName = options.name;
 
   const outputPath = await window.fileManager.joinPaths(
     currentPath,
@@ -532,24 +779,37 @@ async function compressSelected() {
   enqueueOperation({
     label: formatOperationLabel("Compress", 1, `"${archiveName}"`),
     usesProgress: true,
+    lanePath: [outputPath, ...paths],
     run: async (op) => {
       if (op.cancelRequested) {
         const error = new Error("Compression cancelled");
         error.cancelled = true;
         throw error;
       }
-      const result = await window.fileManager.compressItems(paths, outputPath);
+      const result = await window.fileManager.compressItems(
+        paths,
+        outputPath,
+        options,
+        op.id,
+      );
       if (!result || !result.success) {
-        throw new Error(result?.error || "Compression failed");
+        const error = new Error(result?.error || "Compression failed");
+        if (result?.cancelled) error.cancelled = true;
+        throw error;
+      }
+      return { outputPaths: result.outputPaths || [outputPath] };
+    },
+    cancel: async (op) => {
+      if (window.fileManager.cancelOperation) {
+        await window.fileManager.cancelOperation(op.id);
       }
-      return { outputPath };
     },
-    onSuccess: async () => {
+    onSuccess: async (result) => {
       pushUndo({
         label: formatUndoLabel("Compress", 1, `"${archiveName}"`),
         successMessage: "Undid compression",
         undo: async () => {
-          await deletePathsPermanently([outputPath]);
+          await deletePathsPermanently(result.outputPaths);
           refresh();
         },
       });
@@ -567,6 +827,7 @@ async function compressSelected() {
 }
 
 async function createNewFolder() {
+  if (isSavedSearchPath(currentPath)) return;
   console.log("[action] createNewFolder start", { currentPath });
   const raw = await showTextInputModal(
     "New Folder",
@@ -621,6 +882,7 @@ async function createNewFolder() {
 }
 
 async function createNewFile() {
+  if (isSavedSearchPath(currentPath)) return;
   console.log("[action] createNewFile start", { currentPath });
   const raw = await showTextInputModal(
     "New File",
@@ -675,6 +937,12 @@ async function createNewFile() {
 }
 
 function updateToolbarForTrash() {
+  document.querySelectorAll(".header-added").forEach((header) => {
+    if (header.firstChild) {
+      header.firstChild.nodeValue = isInTrash ? "Deleted" : "Added";
+    }
+  });
+
   if (!newFolderBtn || !newFileBtn || !emptyTrashBtn) return;
 
   if (isInTrash) {
@@ -713,22 +981,7 @@ async function emptyTrash() {
     return;
   }
 
-  try {
-    const res = await window.fileManager.getDirectoryContents(commonDirs.trash);
-    if (!res || !res.success) {
-      showNotification("Failed to read Trash", "error");
-      return;
-    }
-
-    for (const item of res.contents) {
-      await window.fileManager.deleteItem(item.path);
-    }
-
-    showNotification("Trash emptied");
-    await navigateTo(commonDirs.trash);
-  } catch (error) {
-    showNotification("Error: " + error.message, "error");
-  }
+  enqueueTrashOperation("empty");
 }
 
 function handleKeyboard(e) {
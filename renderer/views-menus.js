@@ -214,6 +214,30 @@ function renderViewMenu(type) {
     viewMenu.appendChild(
       createOption("Type", sortBy === "type", () => updateSort("type")),
     );
+    if (hasSearchLocations()) {
+      viewMenu.appendChild(
+        createOption("Location", sortBy === "location", () =>
+          updateSort("location"),
+        ),
+      );
+      viewMenu.appendChild(
+        createOption("Relevance", sortBy === "relevance", () =>
+          updateSort("relevance"),
+        ),
+      );
+    }
+    if (isInTrash) {
+      viewMenu.appendChild(
+        createOption("Date Deleted", sortBy === "deleted", () =>
+          updateSort("deleted"),
+        ),
+      );
+      viewMenu.appendChild(
+        createOption("Original Location", sortBy === "origin", () =>
+          updateSort("origin"),
+        ),
+      );
+    }
 
     viewMenu.appendChild(createSep());
 
@@ -253,6 +277,25 @@ function renderViewMenu(type) {
     viewMenu.appendChild(
       createOption("Size", groupBy === "size", () => updateGroup("size")),
     );
+    if (hasSearchLocations()) {
+      viewMenu.appendChild(
+        createOption("Location", groupBy === "location", () =>
+          updateGroup("location"),
+        ),
+      );
+    }
+    if (isInTrash) {
+      viewMenu.appendChild(
+        createOption("Date Deleted", groupBy === "dateDeleted", () =>
+          updateGroup("dateDeleted"),
+        ),
+      );
+      viewMenu.appendChild(
+        createOption("Original Location", groupBy === "origin", () =>
+          updateGroup("origin"),
+        ),
+      );
+    }
   }
 }
 
@@ -358,8 +401,102 @@ function renderSettingsMenu() {
       } catch {}
       renderCurrentView();
       updateStatusBar();
+      restartActiveSearch();
     }),
   );
+
+  settingsMenu.appendChild(createSep());
+  settingsMenu.appendChild(createHeader("File Operations"));
+  settingsMenu.appendChild(
+    createOption("Preserve Timestamps & Attributes", preserveMetadata, () => {
+      preserveMetadata = !preserveMetadata;
+      try {
+        localStorage.setItem("preserveMetadata", String(preserveMetadata));
+      } catch {}
+    }),
+  );
+  settingsMenu.appendChild(
+    createOption("Verify Copies (SHA-256)", verifyAfterCopy, () => {
+      verifyAfterCopy = !verifyAfterCopy;
+      try {
+        localStorage.setItem("verifyAfterCopy", String(verifyAfterCopy));
+      } catch {}
+    }),
+  );
+
+  settingsMenu.appendChild(createSep());
+  settingsMenu.appendChild(createHeader("Search"));
+  settingsMenu.appendChild(
+    createOption("Instant Search Index", fileIndexStatus.enabled, () => {
+      updateFileIndexConfig({ enabled: !fileIndexStatus.enabled });
+    }),
+  );
+  if (fileIndexStatus.enabled) {
+    if (currentPath && !isVirtualViewPath(currentPath)) {
+      settingsMenu.appendChild(
+        createOption("Index Current Folder", isFileIndexRoot(currentPath), () =>
+          toggleFileIndexRoot(currentPath),
+        ),
+      );
+    }
+    settingsMenu.appendChild(
+      createOption(
+        fileIndexStatus.indexing ? "Indexing…" : "Rebuild Index",
+        false,
+        () => {
+          window.fileManager.rebuildFileIndex().then((result) => {
+            if (result?.success) fileIndexStatus = result.status;
+          });
+        },
+      ),
+    );
+    if (fileIndexStatus.watchError) {
+      const warning = createHeader("Live updates limited");
+      warning.title = fileIndexStatus.watchError;
+      settingsMenu.appendChild(warning);
+    }
+    if (fileIndexStatus.saveError) {
+      const warning = createHeader("Index not saved");
+      warning.title = fileIndexStatus.saveError;
+      settingsMenu.appendChild(warning);
+    }
+  }
+
+  if (window.fileManager.platform !== "linux") return;
+
+  const updateTrashPolicy = (patch) => {
+    trashPolicy = { ...trashPolicy, ...patch };
+    window.fileManager.setTrashPolicy(trashPolicy).then((result) => {
+      if (!result || !result.success) {
+        showNotification(
+          "Failed to save Trash settings: " + (result?.error || ""),
+          "error",
+        );
+      }
+    });
+  };
+
+  settingsMenu.appendChild(createSep());
+  settingsMenu.appendChild(createHeader("Trash"));
+  for (const days of TRASH_AGE_OPTIONS) {
+    settingsMenu.appendChild(
+      createOption(
+        days ? `Delete Items After ${days} Days` : "Keep Items Forever",
+        trashPolicy.maxAgeDays === days,
+        () => updateTrashPolicy({ maxAgeDays: days }),
+      ),
+    );
+  }
+  for (const gigabytes of TRASH_SIZE_OPTIONS_GB) {
+    const bytes = gigabytes * 1024 * 1024 * 1024;
+    settingsMenu.appendChild(
+      createOption(
+        gigabytes ? `Keep Trash Under ${gigabytes} GB` : "No Size Limit",
+        trashPolicy.maxSizeBytes === bytes,
+        () => updateTrashPolicy({ maxSizeBytes: bytes }),
+      ),
+    );
+  }
 }
 
 function showContextMenu(x, y) {
@@ -461,6 +598,7 @@ const CONTEXT_MENU_ICONS = {
   copy: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/></svg>`,
   cut: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="6" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><line x1="20" y1="4" x2="8.12" y2="15.88"/><line x1="14.47" y1="14.48" x2="20" y2="20"/><line x1="8.12" y1="8.12" x2="12" y2="12"/></svg>`,
   undo: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 14 4 9 9 4"/><path d="M20 20v-7a4 4 0 00-4-4H4"/></svg>`,
+  restore: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 102.13-9.36L1 10"/></svg>`,
   rename: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>`,
   pin: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 4l6 6-3 3v5l-2 2-2-2v-5l-3-3 4-6z"/><path d="M5 21l7-7"/></svg>`,
   unpin: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 4l6 6-3 3v5l-2 2-2-2v-5l-3-3 4-6z"/><path d="M5 21l7-7"/><path d="M3 3l18 18"/></svg>`,
@@ -469,6 +607,7 @@ const CONTEXT_MENU_ICONS = {
   terminal: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 17 10 11 4 5"/><line x1="12" y1="19" x2="20" y2="19"/></svg>`,
   extract: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="21,8 21,21 3,21 3,8"/><rect x="1" y="3" width="22" height="5"/><path d="M12 11v6"/><path d="M9 14l3 3 3-3"/></svg>`,
   compress: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="21,8 21,21 3,21 3,8"/><rect x="1" y="3" width="22" height="5"/><path d="M12 17v-6"/><path d="M9 14l3-3 3 3"/></svg>`,
+  test: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/><polyline points="9,12 11,14 15,10"/></svg>`,
 };
 
 function createTagsRow(targetPath) {
@@ -519,6 +658,11 @@ function buildBackgroundMenuItems() {
     return items;
   }
 
+  if (isSavedSearchPath(currentPath)) {
+    items.push(buildPinMenuItem());
+    return items;
+  }
+
   const canPaste = clipboardItems && clipboardItems.length > 0;
   const newSubmenu = [
     {
@@ -548,36 +692,46 @@ function buildBackgroundMenuItems() {
     },
   );
 
-  if (contextPinTargetPath) {
+  if (canSaveCurrentSearch()) {
     items.push({ type: "separator" });
     items.push({
-      label: isPinnedExact(contextPinTargetPath) ? "Unpin" : "Pin",
-      icon: isPinnedExact(contextPinTargetPath)
-        ? CONTEXT_MENU_ICONS.unpin
-        : CONTEXT_MENU_ICONS.pin,
-      onClick: async () => {
-        if (isPinnedExact(contextPinTargetPath)) {
-          removeQuickAccessById(
-            `pin:${normalizePathForCompare(contextPinTargetPath)}`,
-          );
-        } else {
-          const label = await showTextInputModal(
-            "Pin folder",
-            "Label:",
-            contextPinTargetPath.split(/[/\\]/).filter(Boolean).pop() ||
-              contextPinTargetPath,
-            "Pin",
-          );
-          if (label === null) return;
-          addPin(contextPinTargetPath, String(label).trim());
-        }
-      },
+      label: "Save Search…",
+      icon: CONTEXT_MENU_ICONS.pin,
+      onClick: () => saveCurrentSearch(),
     });
   }
 
+  if (contextPinTargetPath) {
+    items.push({ type: "separator" });
+    items.push(buildPinMenuItem());
+  }
+
   return items;
 }
 
+function buildPinMenuItem() {
+  const targetPath = contextPinTargetPath || currentPath;
+  const pinned = isPinnedExact(targetPath);
+  return {
+    label: pinned ? "Unpin" : "Pin",
+    icon: pinned ? CONTEXT_MENU_ICONS.unpin : CONTEXT_MENU_ICONS.pin,
+    onClick: async () => {
+      if (pinned) {
+        removeQuickAccessById(`pin:${normalizePathForCompare(targetPath)}`);
+      } else {
+        const label = await showTextInputModal(
+          isSavedSearchPath(targetPath) ? "Pin search" : "Pin folder",
+          "Label:",
+          getTabLabelForPath(targetPath) || targetPath,
+          "Pin",
+        );
+        if (label === null) return;
+        addPin(targetPath, String(label).trim());
+      }
+    },
+  };
+}
+
 function buildQuickAccessMenuItems() {
   const qaId = contextQuickAccessId;
   return [
@@ -607,7 +761,37 @@ function buildQuickAccessMenuItems() {
   ];
 }
 
+function buildTrashItemMenuItems() {
+  return [
+    {
+      label: "Open",
+      icon: CONTEXT_MENU_ICONS.open,
+      onClick: () => openSelected(),
+    },
+    { type: "separator" },
+    {
+      label: "Restore",
+      icon: CONTEXT_MENU_ICONS.restore,
+      onClick: () => restoreSelectedFromTrash(),
+    },
+    {
+      label: "Restore to…",
+      icon: CONTEXT_MENU_ICONS.restore,
+      onClick: () => restoreSelectedFromTrashTo(),
+    },
+    { type: "separator" },
+    {
+      label: "Delete Permanently",
+      icon: CONTEXT_MENU_ICONS.trash,
+      danger: true,
+      onClick: () => deleteSelected(),
+    },
+  ];
+}
+
 function buildItemMenuItems() {
+  if (currentPath === TRASH_VIEW_PATH) return buildTrashItemMenuItems();
+
   const itemMenu = [
     {
       label: "Open",
@@ -685,24 +869,8 @@ function buildItemMenuItems() {
     itemMenu.push({ type: "separator" });
   }
 
-  const archiveExts = [
-    "zip",
-    "rar",
-    "7z",
-    "tar",
-    "gz",
-    "bz2",
-    "xz",
-    "tar.gz",
-    "tar.bz2",
-    "tar.xz",
-    "tgz",
-  ];
   const selectedPaths = Array.from(selectedItems);
-  const hasArchive = selectedPaths.some((p) => {
-    const lower = p.toLowerCase();
-    return archiveExts.some((ext) => lower.endsWith(`.${ext}`));
-  });
+  const hasArchive = selectedPaths.some(isArchivePath);
 
   if (hasArchive) {
     itemMenu.push({
@@ -710,6 +878,11 @@ function buildItemMenuItems() {
       icon: CONTEXT_MENU_ICONS.extract,
       onClick: () => extractSelected(),
     });
+    itemMenu.push({
+      label: "Test Archive",
+      icon: CONTEXT_MENU_ICONS.test,
+      onClick: () => testSelectedArchives(),
+    });
   }
 
   if (selectedPaths.length > 0) {
@@ -770,51 +943,68 @@ function renderContextMenu() {
 }
 
 let progressInterval = null;
-let realProgress = 0;
-let fakeProgress = 0;
+let progressHideTimer = null;
+
+function getProgressOperations() {
+  return getActiveOperations().filter((op) => op.usesProgress);
+}
 
 function startProgress() {
-  if (progressInterval) clearInterval(progressInterval);
-  realProgress = 0;
-  fakeProgress = 0;
+  if (progressHideTimer) {
+    clearTimeout(progressHideTimer);
+    progressHideTimer = null;
+  }
 
-  if (progressBarContainer && progressBarFill) {
+  if (progressBarContainer && progressBarFill && !progressInterval) {
     progressBarContainer.style.display = "block";
     progressBarFill.style.width = "0%";
   }
 
+  if (progressInterval) return;
   progressInterval = setInterval(() => {
-    if (fakeProgress < 25) fakeProgress += 2;
-    else if (fakeProgress < 60) fakeProgress += 0.5;
-    else if (fakeProgress < 95) fakeProgress += 0.1;
+    for (const op of getProgressOperations()) {
+      if (op.paused || op.realProgress !== undefined) continue;
+      const fake = op.fakeProgress || 0;
+      if (fake < 25) op.fakeProgress = fake + 2;
+      else if (fake < 60) op.fakeProgress = fake + 0.5;
+      else if (fake < 95) op.fakeProgress = fake + 0.1;
+    }
     updateProgressDisplay();
   }, 100);
 }
 
 function updateProgressDisplay() {
-  if (!progressBarContainer || !progressBarFill) return;
-  const display = Math.max(realProgress, fakeProgress);
-  progressBarFill.style.width = `${Math.min(100, display)}%`;
-  if (activeOperation && activeOperation.usesProgress) {
-    activeOperation.progress = display;
-    scheduleOpsRender();
+  const ops = getProgressOperations();
+  if (ops.length === 0) return;
+  let total = 0;
+  for (const op of ops) {
+    op.progress = op.realProgress ?? op.fakeProgress ?? 0;
+    total += op.progress;
+  }
+  if (progressBarContainer && progressBarFill) {
+    progressBarFill.style.width = `${Math.min(100, total / ops.length)}%`;
   }
+  scheduleOpsRender();
 }
 
-function setProgress(percent) {
-  realProgress = percent;
+function setProgress(op, percent) {
+  op.realProgress = percent;
   updateProgressDisplay();
 }
 
 function finishProgress() {
+  if (getProgressOperations().length > 0) {
+    updateProgressDisplay();
+    return;
+  }
+
   if (progressInterval) clearInterval(progressInterval);
-  realProgress = 100;
-  updateProgressDisplay();
+  progressInterval = null;
+  if (progressBarFill) progressBarFill.style.width = "100%";
 
-  setTimeout(() => {
+  progressHideTimer = setTimeout(() => {
+    progressHideTimer = null;
     if (progressBarContainer) progressBarContainer.style.display = "none";
     if (progressBarFill) progressBarFill.style.width = "0%";
-    realProgress = 0;
-    fakeProgress = 0;
   }, 700);
 }
@@ -35,11 +35,74 @@ async function navigateTo(path) {
       .querySelectorAll(".sidebar-item")
       .forEach((el) => el.classList.remove("active"));
     syncTagsHighlight();
+    isInTrash = false;
+    updateToolbarForTrash();
+    return;
+  }
+
+  if (path === TRASH_VIEW_PATH) {
+    const result = await window.fileManager.listTrashItems();
+    if (!result || !result.success) {
+      showNotification("Error: " + (result?.error || "Cannot open Trash"), "error");
+      return;
+    }
+
+    currentPath = path;
+    currentItems = result.items;
+    if (panes[activePaneId]) {
+      panes[activePaneId].isArchive = false;
+      panes[activePaneId].path = currentPath;
+      panes[activePaneId].items = currentItems;
+    }
+    const appContainer = document.querySelector(".app-container");
+    if (appContainer) {
+      appContainer.classList.remove("archive-mode");
+    }
+    applyViewSettings(currentPath);
+    collapsedGroups.clear();
+    recordTabNavigation(false);
+    finishNavigation();
+    isInTrash = true;
+    updateToolbarForTrash();
+    syncQuickAccessHighlight();
+    syncTagsHighlight();
+    return;
+  }
+
+  if (isSavedSearchPath(path)) {
+    const spec = parseSavedSearchPath(path);
+    if (!spec) {
+      showNotification("Error: Invalid saved search", "error");
+      return;
+    }
+
+    currentPath = path;
+    currentItems = [];
+    if (panes[activePaneId]) {
+      panes[activePaneId].isArchive = false;
+      panes[activePaneId].path = currentPath;
+      panes[activePaneId].items = currentItems;
+    }
+    const appContainer = document.querySelector(".app-container");
+    if (appContainer) {
+      appContainer.classList.remove("archive-mode");
+    }
+    applyViewSettings(currentPath);
+    collapsedGroups.clear();
+    recordTabNavigation(false);
+    finishNavigation();
+    isInTrash = false;
+    updateToolbarForTrash();
+    runSavedSearch(spec);
+    syncQuickAccessHighlight();
+    syncTagsHighlight();
     return;
   }
 
   try {
-    const result = await window.fileManager.getDirectoryContents(path);
+    const result = await withArchivePassword(() =>
+      window.fileManager.getDirectoryContents(path),
+    );
 
     if (result.success) {
       currentPath = result.path;
@@ -57,23 +120,7 @@ async function navigateTo(path) {
 
       applyViewSettings(currentPath);
       collapsedGroups.clear();
-
-      if (activeTabIndex !== -1 && tabs[activeTabIndex]) {
-        const tab = tabs[activeTabIndex];
-        normalizeTabState(tab);
-        if (tab.panes?.[activePaneId]) {
-          tab.panes[activePaneId].path = currentPath;
-          tab.panes[activePaneId].history = [...history];
-          tab.panes[activePaneId].historyIndex = historyIndex;
-          tab.panes[activePaneId].selectedItems = new Set(selectedItems);
-          tab.panes[activePaneId].scrollTop = fileList ? fileList.scrollTop : 0;
-          tab.panes[activePaneId].isArchive = Boolean(result.isArchive);
-        }
-        tab.activePaneId = activePaneId;
-        tab.splitViewEnabled = splitViewEnabled;
-        tab.path = getTabPrimaryPath(tab);
-      }
-      renderTabs();
+      recordTabNavigation(Boolean(result.isArchive));
 
       if (panes[activePaneId]) {
         panes[activePaneId].path = currentPath;
@@ -86,14 +133,11 @@ async function navigateTo(path) {
 
       finishNavigation();
 
-      isInTrash =
-        Boolean(commonDirs && commonDirs.trash) &&
-        normalizePathForCompare(currentPath) ===
-          normalizePathForCompare(commonDirs.trash);
+      isInTrash = isTrashPath(currentPath);
       updateToolbarForTrash();
       syncQuickAccessHighlight();
       scheduleVisibleFolderSizes();
-    } else {
+    } else if (!result.cancelled) {
       showNotification("Error: " + result.error, "error");
     }
   } catch (error) {
@@ -101,6 +145,25 @@ async function navigateTo(path) {
   }
 }
 
+function recordTabNavigation(isArchive) {
+  if (activeTabIndex !== -1 && tabs[activeTabIndex]) {
+    const tab = tabs[activeTabIndex];
+    normalizeTabState(tab);
+    if (tab.panes?.[activePaneId]) {
+      tab.panes[activePaneId].path = currentPath;
+      tab.panes[activePaneId].history = [...history];
+      tab.panes[activePaneId].historyIndex = historyIndex;
+      tab.panes[activePaneId].selectedItems = new Set(selectedItems);
+      tab.panes[activePaneId].scrollTop = fileList ? fileList.scrollTop : 0;
+      tab.panes[activePaneId].isArchive = isArchive;
+    }
+    tab.activePaneId = activePaneId;
+    tab.splitViewEnabled = splitViewEnabled;
+    tab.path = getTabPrimaryPath(tab);
+  }
+  renderTabs();
+}
+
 const STARTUP_CACHE_KEY = "startupCacheHome";
 const STARTUP_CACHE_MAX_ITEMS = 300;
 
@@ -140,6 +203,7 @@ window.createNewTab = createNewTab;
 
 function finishNavigation() {
   folderSizeQueue.length = 0;
+  syncRecursiveSearchWithNavigation();
 
   clearThumbnailObserver();
   setupThumbnailObserver();
@@ -39,6 +39,19 @@ async function renderPreviewItem(item) {
     </div>
   `;
 
+  if (
+    isArchiveView() &&
+    !item.isDirectory &&
+    (item.size || 0) <= MAX_ARCHIVE_PREVIEW_BYTES
+  ) {
+    try {
+      item = await materializeArchiveEntry(item);
+    } catch (error) {
+      previewContent.innerHTML = `<div class="preview-error">${escapeHtml(error.message)}</div>`;
+      return;
+    }
+  }
+
   try {
     const fileType = getFileType(item);
     const ext = (item.extension || "").toLowerCase();
@@ -77,7 +90,7 @@ async function renderPreviewItem(item) {
               </div>
               <div class="preview-info-item">
                 <span class="preview-info-label">Path:</span>
-                <span class="preview-info-value">${escapeHtml(item.path)}</span>
+                <span class="preview-info-value">${escapeHtml(item.archiveEntryPath || item.path)}</span>
               </div>
             </div>
           `;
@@ -169,7 +182,7 @@ async function renderPreviewItem(item) {
           </div>
           <div class="preview-info-item">
             <span class="preview-info-label">Path:</span>
-            <span class="preview-info-value">${escapeHtml(item.path)}</span>
+            <span class="preview-info-value">${escapeHtml(item.archiveEntryPath || item.path)}</span>
           </div>
         </div>
       `;
@@ -320,7 +333,7 @@ async function renderPreviewItem(item) {
           </div>
           <div class="preview-info-item">
             <span class="preview-info-label">Path:</span>
-            <span class="preview-info-value">${escapeHtml(item.path)}</span>
+            <span class="preview-info-value">${escapeHtml(item.archiveEntryPath || item.path)}</span>
           </div>
         </div>
       `;
@@ -361,12 +374,19 @@ async function renderPreviewItem(item) {
       ".latex",
     ];
 
-    if (textExtensions.includes(ext)) {
+    const contentMatches = item.contentMatches || null;
+    if (textExtensions.includes(ext) || contentMatches) {
       try {
-        const result = await window.fileManager.readFilePreview(item.path);
+        const result = await window.fileManager.readFilePreview(item.path, {
+          anyText: Boolean(contentMatches),
+        });
         if (result.success) {
-          const escapedContent = escapeHtml(result.content);
+          const query = getActiveSearchTerms();
+          const escapedContent = contentMatches
+            ? buildMatchedPreviewText(result.content, contentMatches, query)
+            : escapeHtml(result.content);
           previewContent.innerHTML = `
+            ${contentMatches ? buildPreviewMatchList(item, query) : ""}
             <div class="preview-text" style="margin-bottom: 16px;">${escapedContent}</div>
             <div class="preview-info">
               <div class="preview-info-item">
@@ -387,10 +407,14 @@ async function renderPreviewItem(item) {
               </div>
               <div class="preview-info-item">
                 <span class="preview-info-label">Path:</span>
-                <span class="preview-info-value">${escapeHtml(item.path)}</span>
+                <span class="preview-info-value">${escapeHtml(item.archiveEntryPath || item.path)}</span>
               </div>
             </div>
           `;
+          if (contentMatches) {
+            setupPreviewMatchList();
+            focusPreviewMatch(contentMatches[0].line);
+          }
           return;
         } else {
         }
@@ -418,7 +442,7 @@ async function renderPreviewItem(item) {
           </div>
           <div class="preview-info-item">
             <span class="preview-info-label">Path:</span>
-            <span class="preview-info-value">${escapeHtml(item.path)}</span>
+            <span class="preview-info-value">${escapeHtml(item.archiveEntryPath || item.path)}</span>
           </div>
         </div>
       `;
@@ -434,6 +458,88 @@ async function renderPreviewItem(item) {
   }
 }
 
+function highlightSearchQuery(text, terms) {
+  if (!terms || terms.length === 0) return escapeHtml(text);
+  const lower = text.toLowerCase();
+  let html = "";
+  let pos = 0;
+  while (true) {
+    let index = -1;
+    let length = 0;
+    for (const term of terms) {
+      const found = lower.indexOf(term, pos);
+      if (found !== -1 && (index === -1 || found < index)) {
+        index = found;
+        length = term.length;
+      }
+    }
+    if (index === -1) break;
+    html +=
+      escapeHtml(text.slice(pos, index)) +
+      `<mark>${escapeHtml(text.slice(index, index + length))}</mark>`;
+    pos = index + length;
+  }
+  return html + escapeHtml(text.slice(pos));
+}
+
+function buildMatchedPreviewText(content, matches, query) {
+  const matchedLines = new Set(matches.map((match) => match.line));
+  return content
+    .split(/\r?\n/)
+    .map((line, index) => {
+      const lineNumber = index + 1;
+      const matched = matchedLines.has(lineNumber);
+      return `<span class="preview-line${matched ? " matched" : ""}" data-line="${lineNumber}">${
+        matched ? highlightSearchQuery(line, query) : escapeHtml(line)
+      }</span>`;
+    })
+    .join("\n");
+}
+
+function buildPreviewMatchList(item, query) {
+  const count = item.contentMatchCount || item.contentMatches.length;
+  const rows = item.contentMatches
+    .map(
+      (match) => `
+        <button class="preview-match" data-line="${match.line}">
+          <span class="preview-match-line">${match.line}</span>
+          <span class="preview-match-text">${highlightSearchQuery(match.text.trim(), query)}</span>
+        </button>`,
+    )
+    .join("");
+  return `
+    <div class="preview-matches">
+      <div class="preview-matches-title">${count} match${count === 1 ? "" : "es"}</div>
+      ${rows}
+    </div>
+  `;
+}
+
+function setupPreviewMatchList() {
+  previewContent.querySelectorAll(".preview-match").forEach((button) => {
+    button.addEventListener("click", () => {
+      focusPreviewMatch(Number(button.dataset.line));
+    });
+  });
+}
+
+function focusPreviewMatch(lineNumber) {
+  const lineEl = previewContent.querySelector(
+    `.preview-line[data-line="${lineNumber}"]`,
+  );
+  if (!lineEl) return;
+
+  previewContent
+    .querySelectorAll(".preview-line.current, .preview-match.current")
+    .forEach((el) => el.classList.remove("current"));
+  lineEl.classList.add("current");
+  const button = previewContent.querySelector(
+    `.preview-match[data-line="${lineNumber}"]`,
+  );
+  if (button) button.classList.add("current");
+  lineEl.scrollIntoView({ block: "center" });
+}
+
 function renderPreviewEmpty() {
   if (!previewContent) return;
   previewContent.innerHTML = `
@@ -34,6 +34,37 @@ function updateBreadcrumb() {
     return;
   }
 
+  if (currentPath === TRASH_VIEW_PATH) {
+    const trashBtn = document.createElement("button");
+    trashBtn.className = "breadcrumb-item";
+    trashBtn.textContent = "Trash";
+    pathSegments.appendChild(trashBtn);
+    return;
+  }
+
+  if (isSavedSearchPath(currentPath)) {
+    const spec = parseSavedSearchPath(currentPath);
+    if (!spec) return;
+    const folderBtn = document.createElement("button");
+    folderBtn.className = "breadcrumb-item";
+    folderBtn.textContent =
+      spec.rootPath.split(/[/\\]/).filter(Boolean).pop() || spec.rootPath;
+    folderBtn.title = spec.rootPath;
+    folderBtn.addEventListener("click", () => navigateTo(spec.rootPath));
+    pathSegments.appendChild(folderBtn);
+
+    const separator = document.createElement("span");
+    separator.className = "breadcrumb-separator";
+    separator.textContent = "›";
+    pathSegments.appendChild(separator);
+
+    const queryBtn = document.createElement("button");
+    queryBtn.className = "breadcrumb-item";
+    queryBtn.textContent = `Search: ${spec.query}`;
+    pathSegments.appendChild(queryBtn);
+    return;
+  }
+
   const rootBtn = document.createElement("button");
   rootBtn.className = "breadcrumb-item";
   rootBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><rect x="2" y="3" width="20" height="14" rx="2" ry="2"/><line x1="8" y1="21" x2="16" y2="21"/><line x1="12" y1="17" x2="12" y2="21"/></svg>`;
@@ -137,7 +168,7 @@ function resetFileListView() {
 }
 
 function getSearchTerm() {
-  return searchInput ? searchInput.value.toLowerCase() : "";
+  return searchInput ? searchInput.value.trim() : "";
 }
 
 function filterItems(items, searchTerm) {
@@ -151,8 +182,12 @@ function filterItems(items, searchTerm) {
   }
 
   if (searchTerm) {
-    filtered = filtered.filter((item) =>
-      item.name.toLowerCase().includes(searchTerm),
+    const query = getCompiledSearchQuery();
+    const searchedInMain = !isSavedSearchPath(currentPath);
+    filtered = filtered.filter(
+      (item) =>
+        (searchedInMain && typeof item.relativeFolder === "string") ||
+        matchesSearchQuery(item, query),
     );
   }
 
@@ -184,6 +219,22 @@ function compareItems(a, b) {
     case "added":
       comparison = new Date(a.created || 0) - new Date(b.created || 0);
       break;
+    case "deleted":
+      comparison = (a.trashDeletedAt || 0) - (b.trashDeletedAt || 0);
+      break;
+    case "origin":
+      comparison = (a.trashOriginalPath || "").localeCompare(
+        b.trashOriginalPath || "",
+      );
+      break;
+    case "location":
+      comparison = getItemLocationLabel(a).localeCompare(
+        getItemLocationLabel(b),
+      );
+      break;
+    case "relevance":
+      comparison = (b.searchScore || 0) - (a.searchScore || 0);
+      break;
     case "type": {
       const extA = (a.extension || "").toLowerCase();
       const extB = (b.extension || "").toLowerCase();
@@ -221,6 +272,12 @@ function getGroupKey(item) {
       return getDateGroupLabel(item.modified);
     case "dateAdded":
       return getDateGroupLabel(item.created);
+    case "dateDeleted":
+      return getDateGroupLabel(item.trashDeletedAt);
+    case "origin":
+      return getTrashOriginalFolder(item) || "Unknown Location";
+    case "location":
+      return getItemLocationLabel(item) || "Unknown Location";
     case "size": {
       if (item.isDirectory) return "Folders";
       const size = item.size || 0;
@@ -236,6 +293,19 @@ function getGroupKey(item) {
   }
 }
 
+function getTrashOriginalFolder(item) {
+  if (!item || !item.trashOriginalPath) return "";
+  const original = item.trashOriginalPath;
+  const index = Math.max(original.lastIndexOf("/"), original.lastIndexOf("\\"));
+  return index > 0 ? original.slice(0, index) : original.slice(0, index + 1);
+}
+
+function getItemLocationLabel(item) {
+  if (isInTrash && item.trashOriginalPath) return getTrashOriginalFolder(item);
+  if (typeof item.relativeFolder === "string") return item.relativeFolder || ".";
+  return "";
+}
+
 function buildGroups(items) {
   const groups = new Map();
   items.forEach((item) => {
@@ -299,10 +369,22 @@ function buildItemHtml(
       }>
         ${iconContent}
       </div>
-      <div class="file-name">${escapeHtml(item.name)}${tagsHtml}</div>
+      <div class="file-name">${escapeHtml(item.name)}${tagsHtml}${
+        getItemLocationLabel(item)
+          ? `<span class="file-location">${escapeHtml(getItemLocationLabel(item))}</span>`
+          : ""
+      }${
+        item.contentMatches && item.contentMatches.length > 0
+          ? `<span class="file-match">${item.contentMatches[0].line}: ${escapeHtml(item.contentMatches[0].text.trim())}${
+              item.contentMatchCount > 1
+                ? ` (+${item.contentMatchCount - 1})`
+                : ""
+            }</span>`
+          : ""
+      }</div>
       <div class="file-size" data-role="size" data-path="${escapeHtml(item.path)}">${item.isDirectory ? folderSizeCell : formatSize(item.size)}</div>
       <div class="file-date">${formatDate(item.modified)}</div>
-      <div class="file-added">${formatDate(item.created)}</div>
+      <div class="file-added">${formatDate(isInTrash && item.trashDeletedAt ? item.trashDeletedAt : item.created)}</div>
     `;
 }
 
@@ -481,7 +563,11 @@ function sortGroups(groups) {
       if (indexB === -1) return -1;
       return indexA - indexB;
     });
-  } else if (groupBy === "dateModified" || groupBy === "dateAdded") {
+  } else if (
+    groupBy === "dateModified" ||
+    groupBy === "dateAdded" ||
+    groupBy === "dateDeleted"
+  ) {
     const dateGroupOrder = [
       "Today",
       "Yesterday",
@@ -818,21 +904,21 @@ async function renamePath(oldPath, currentNameForDefault) {
 }
 
 async function openItem(item) {
-  const archiveExts = [
-    ".zip",
-    ".7z",
-    ".rar",
-    ".tar",
-    ".gz",
-    ".tgz",
-    ".bz2",
-    ".xz",
-    ".iso",
-    ".txz",
-    ".tbz2",
-  ];
-  const ext = (item.extension || "").toLowerCase();
-  if (item.isDirectory || archiveExts.includes(ext)) {
+  const isArchive = isArchivePath(item.name);
+  if (isArchiveView() && !item.isDirectory) {
+    try {
+      const entry = await materializeArchiveEntry(item);
+      if (isArchive) {
+        await navigateTo(entry.path);
+      } else {
+        await window.fileManager.openFile(entry.path);
+      }
+    } catch (error) {
+      showNotification("Error: " + error.message, "error");
+    }
+    return;
+  }
+  if (item.isDirectory || isArchive) {
     await navigateTo(item.path);
   } else {
     await window.fileManager.openFile(item.path);
@@ -843,6 +929,10 @@ async function goBack() {
   if (historyIndex > 0) {
     historyIndex--;
     const path = history[historyIndex];
+    if (isVirtualViewPath(path)) {
+      await navigateTo(path);
+      return;
+    }
     const result = await window.fileManager.getDirectoryContents(path);
     if (result.success) {
       currentPath = result.path;
@@ -880,6 +970,10 @@ async function goForward() {
   if (historyIndex < history.length - 1) {
     historyIndex++;
     const path = history[historyIndex];
+    if (isVirtualViewPath(path)) {
+      await navigateTo(path);
+      return;
+    }
     const result = await window.fileManager.getDirectoryContents(path);
     if (result.success) {
       currentPath = result.path;
@@ -914,6 +1008,12 @@ async function goForward() {
 }
 
 async function goUp() {
+  if (currentPath === TRASH_VIEW_PATH) return;
+  if (isSavedSearchPath(currentPath)) {
+    const spec = parseSavedSearchPath(currentPath);
+    if (spec) await navigateTo(spec.rootPath);
+    return;
+  }
   const parent = await window.fileManager.getParentDirectory(currentPath);
   if (parent !== currentPath) {
     await navigateTo(parent);
@@ -933,7 +1033,7 @@ function refresh() {
 
 async function refreshPane(paneId) {
   const pane = panes[paneId];
-  if (!pane || !pane.path) return;
+  if (!pane || !pane.path || isVirtualViewPath(pane.path)) return;
 
   try {
     const result = await window.fileManager.getDirectoryContents(pane.path);
@@ -965,6 +1065,7 @@ function toggleHiddenFiles() {
     renderFiles();
   }
   updateStatusBar();
+  restartActiveSearch();
   const toggleBtn = document.getElementById("toggle-hidden-btn");
   if (toggleBtn) toggleBtn.classList.toggle("active", showHidden);
   const pickerToggle = document.getElementById("picker-hidden-toggle");
@@ -1035,7 +1136,10 @@ function focusPathBar() {
 }
 
 function updateStatusBar() {
-  if (itemCountEl) {
+  const searchStatus = getRecursiveSearchStatus();
+  if (itemCountEl && searchStatus) {
+    itemCountEl.textContent = searchStatus;
+  } else if (itemCountEl) {
     const visibleCount = showHidden
       ? currentItems.length
       : currentItems.filter((item) => !item.name.startsWith(".")).length;
@@ -0,0 +1,533 @@
+let recursiveSearch = null;
+let recursiveSearchSequence = 0;
+let recursiveSearchTimer = null;
+let recursiveSearchRenderPending = false;
+const RECURSIVE_SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_TOKEN_PATTERN =
+  /[a-z]+:"[^"]*"|"[^"]*"|\/(?:\\.|[^/\\])+\/[a-z]*|\S+/gi;
+const SEARCH_SIZE_UNITS = {
+  "": 1,
+  b: 1,
+  k: 1024,
+  kb: 1024,
+  m: 1024 ** 2,
+  mb: 1024 ** 2,
+  g: 1024 ** 3,
+  gb: 1024 ** 3,
+  t: 1024 ** 4,
+  tb: 1024 ** 4,
+};
+const SEARCH_DURATION_UNITS = {
+  min: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mo: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+const FLIPPED_SEARCH_OPS = { "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+let compiledSearchQuery = { raw: null, query: null };
+
+function unquoteSearchValue(value) {
+  return value.length >= 2 && value.startsWith('"') && value.endsWith('"')
+    ? value.slice(1, -1)
+    : value;
+}
+
+function parseSizeFilter(value) {
+  const match = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)([a-z]*)$/i);
+  if (!match) return null;
+  const unit = SEARCH_SIZE_UNITS[match[3].toLowerCase()];
+  if (unit === undefined) return null;
+  return { kind: "size", op: match[1] || ">=", bytes: Number(match[2]) * unit };
+}
+
+function parseModifiedFilter(value) {
+  const match = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+  if (!match) return null;
+  const op = match[1] || "";
+
+  const relative = match[2].match(/^(\d+(?:\.\d+)?)(min|h|d|w|mo|y)$/i);
+  if (relative) {
+    const age =
+      Number(relative[1]) * SEARCH_DURATION_UNITS[relative[2].toLowerCase()];
+    return {
+      kind: "modified",
+      op: FLIPPED_SEARCH_OPS[op || "<"] || ">=",
+      time: Date.now() - age,
+    };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(match[2])) return null;
+  const date = new Date(`${match[2]}T00:00:00`);
+  if (Number.isNaN(date.getTime())) return null;
+  return {
+    kind: "modified",
+    op: op === "=" ? "day" : op || ">=",
+    time: date.getTime(),
+  };
+}
+
+function parseSearchToken(token) {
+  const regex = token.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      const flags = regex[2] || "i";
+      new RegExp(regex[1], flags);
+      return { kind: "regex", source: regex[1], flags };
+    } catch {}
+  }
+
+  const keyed = token.match(/^([a-z]+):(.+)$/i);
+  if (keyed) {
+    const value = unquoteSearchValue(keyed[2]);
+    const values = value
+      .toLowerCase()
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+    let filter = null;
+    switch (keyed[1].toLowerCase()) {
+      case "size":
+        filter = parseSizeFilter(value);
+        break;
+      case "modified":
+        filter = parseModifiedFilter(value);
+        break;
+      case "type":
+        filter = {
+          kind: "type",
+          directories: values.includes("folder"),
+          extensions: values.flatMap((v) => fileTypes[v]?.extensions || []),
+        };
+        break;
+      case "ext":
+        filter = {
+          kind: "ext",
+          values: values.map((v) => `.${v.replace(/^\./, "")}`),
+        };
+        break;
+      case "tag":
+        filter = {
+          kind: "paths",
+          values: Object.entries(fileTags)
+            .filter(([, tags]) => tags.some((tag) => values.includes(tag)))
+            .map(([p]) => p),
+        };
+        break;
+      case "name":
+        filter = { kind: "text", value: value.toLowerCase() };
+        break;
+    }
+    if (filter) return filter;
+  }
+
+  return { kind: "text", value: unquoteSearchValue(token).toLowerCase() };
+}
+
+function parseSearchQuery(raw) {
+  const groups = [[]];
+  const textParts = [];
+  for (const [token] of String(raw || "").matchAll(SEARCH_TOKEN_PATTERN)) {
+    if (token === "OR" || token === "|") {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+    if (token === "AND" || token === "&") continue;
+    const filter = parseSearchToken(token);
+    if (filter.kind === "text") textParts.push(filter.value);
+    groups[groups.length - 1].push(filter);
+  }
+  return {
+    groups: groups.filter((group) => group.length > 0),
+    text: textParts.join(" "),
+  };
+}
+
+function getCompiledSearchQuery() {
+  const raw = getSearchTerm();
+  if (compiledSearchQuery.raw !== raw) {
+    compiledSearchQuery = {
+      raw,
+      query: compileSearchQuery(parseSearchQuery(raw)),
+    };
+  }
+  return compiledSearchQuery.query;
+}
+
+function getActiveSearchTerms() {
+  const saved = parseSavedSearchPath(currentPath);
+  return getSearchTerms(
+    saved ? parseSearchQuery(saved.query) : getCompiledSearchQuery(),
+  );
+}
+
+function matchesSearchQuery(item, query) {
+  if (!query) return true;
+  return matchesSearchGroups(item, query.groups);
+}
+
+function isSavedSearchPath(p) {
+  return String(p || "").startsWith(SAVED_SEARCH_PREFIX);
+}
+
+function buildSavedSearchPath(spec) {
+  const params = new URLSearchParams({ q: spec.query });
+  if (spec.content) params.set("content", "1");
+  return `${SAVED_SEARCH_PREFIX}${encodeURIComponent(spec.rootPath)}?${params}`;
+}
+
+function parseSavedSearchPath(p) {
+  if (!isSavedSearchPath(p)) return null;
+  const rest = String(p).slice(SAVED_SEARCH_PREFIX.length);
+  const queryIndex = rest.indexOf("?");
+  if (queryIndex <= 0) return null;
+  try {
+    const params = new URLSearchParams(rest.slice(queryIndex + 1));
+    const rootPath = decodeURIComponent(rest.slice(0, queryIndex));
+    const query = (params.get("q") || "").trim();
+    if (!query) return null;
+    return { rootPath, query, content: params.get("content") === "1" };
+  } catch {
+    return null;
+  }
+}
+
+function getSavedSearchLabel(spec) {
+  const folder =
+    spec.rootPath.split(/[/\\]/).filter(Boolean).pop() || spec.rootPath;
+  return `${spec.query} in ${folder}`;
+}
+
+function canSaveCurrentSearch() {
+  return Boolean(getSearchTerm()) && canSearchRecursively();
+}
+
+async function saveCurrentSearch() {
+  if (!canSaveCurrentSearch()) return;
+  const spec = {
+    rootPath: currentPath,
+    query: getSearchTerm(),
+    content: searchContents,
+  };
+  const label = await showTextInputModal(
+    "Save search",
+    "Label:",
+    getSavedSearchLabel(spec),
+    "Save",
+  );
+  if (label === null) return;
+  addPin(
+    buildSavedSearchPath(spec),
+    String(label).trim() || getSavedSearchLabel(spec),
+  );
+  showNotification("Search saved to Quick Access");
+}
+
+function canSearchRecursively() {
+  return (
+    Boolean(currentPath) &&
+    !currentPath.startsWith("tag://") &&
+    currentPath !== TRASH_VIEW_PATH &&
+    !isSavedSearchPath(currentPath) &&
+    !panes[activePaneId]?.isArchive
+  );
+}
+
+function getRecursiveSearchForActivePane() {
+  return recursiveSearch && recursiveSearch.paneId === activePaneId
+    ? recursiveSearch
+    : null;
+}
+
+function setSearchItems(search, items) {
+  if (panes[search.paneId]) {
+    panes[search.paneId].items = items;
+  }
+  if (activePaneId === search.paneId) {
+    currentItems = items;
+  }
+}
+
+function updateSearchScopeUI() {
+  if (searchScopeBtn) {
+    searchScopeBtn.classList.toggle("active", searchRecursive);
+    searchScopeBtn.title = searchRecursive
+      ? "Searching Subfolders"
+      : "Search Subfolders";
+  }
+  if (searchContentBtn) {
+    searchContentBtn.classList.toggle("active", searchContents);
+    searchContentBtn.title = searchContents
+      ? "Searching File Contents"
+      : "Search File Contents";
+  }
+  if (searchInput) {
+    if (searchContents) {
+      searchInput.placeholder = "Search file contents...";
+    } else if (searchRecursive) {
+      searchInput.placeholder = "Search subfolders...";
+    } else {
+      searchInput.placeholder = "Search files...";
+    }
+  }
+}
+
+function stopRecursiveSearch(options = {}) {
+  clearTimeout(recursiveSearchTimer);
+  if (!recursiveSearch) return;
+  const search = recursiveSearch;
+  recursiveSearch = null;
+  if (!search.done) {
+    window.fileManager.cancelSearch(search.id).catch(() => {});
+  }
+  if (options.restoreItems !== false) {
+    setSearchItems(search, search.folderItems);
+  }
+}
+
+function canUseFileIndex(rootPath) {
+  if (!fileIndexStatus?.enabled || !fileIndexStatus.ready) return false;
+  return fileIndexStatus.roots.some((root) => isPathWithin(root, rootPath));
+}
+
+function scheduleRecursiveSearch() {
+  clearTimeout(recursiveSearchTimer);
+  if (!getSearchTerm() || (!searchContents && canUseFileIndex(currentPath))) {
+    startRecursiveSearch();
+    return;
+  }
+  recursiveSearchTimer = setTimeout(
+    startRecursiveSearch,
+    RECURSIVE_SEARCH_DEBOUNCE_MS,
+  );
+}
+
+function startRecursiveSearch() {
+  if (isSavedSearchPath(currentPath)) {
+    updateSearchScopeUI();
+    renderCurrentView();
+    updateStatusBar();
+    return;
+  }
+
+  stopRecursiveSearch();
+  updateSearchScopeUI();
+
+  const query = getSearchTerm();
+  const compiled = getCompiledSearchQuery();
+  if (
+    (!searchRecursive && !searchContents) ||
+    compiled.groups.length === 0 ||
+    !canSearchRecursively()
+  ) {
+    renderCurrentView();
+    updateStatusBar();
+    return;
+  }
+
+  const search = {
+    id: `search-${Date.now()}-${recursiveSearchSequence++}`,
+    paneId: activePaneId,
+    rootPath: currentPath,
+    query,
+    content: searchContents,
+    folderItems: currentItems,
+    done: false,
+    truncated: false,
+  };
+  setSearchItems(search, []);
+  renderCurrentView();
+  executeSearch(search, currentPath, compiled);
+}
+
+function runSavedSearch(spec) {
+  stopRecursiveSearch({ restoreItems: false });
+  const search = {
+    id: `search-${Date.now()}-${recursiveSearchSequence++}`,
+    paneId: activePaneId,
+    rootPath: currentPath,
+    query: spec.query,
+    content: spec.content,
+    folderItems: [],
+    done: false,
+    truncated: false,
+    saved: true,
+  };
+  setSearchItems(search, []);
+  renderCurrentView();
+  executeSearch(search, spec.rootPath, parseSearchQuery(spec.query));
+}
+
+function runIndexedSearch(search, rootPath, compiled) {
+  search.indexed = true;
+  window.fileManager
+    .queryFileIndex(rootPath, compiled, { showHidden })
+    .then((result) => {
+      if (recursiveSearch !== search) return;
+      if (!result || !result.success) {
+        search.indexed = false;
+        executeSearch(search, rootPath, compiled, { skipIndex: true });
+        return;
+      }
+      search.done = true;
+      search.truncated = Boolean(result.truncated);
+      setSearchItems(search, result.items);
+      scheduleSearchRender();
+    })
+    .catch(() => {
+      if (recursiveSearch !== search) return;
+      search.indexed = false;
+      executeSearch(search, rootPath, compiled, { skipIndex: true });
+    });
+}
+
+function restartActiveSearch() {
+  const search = getRecursiveSearchForActivePane();
+  if (!search) return;
+  const saved = search.saved ? parseSavedSearchPath(currentPath) : null;
+  if (saved) {
+    runSavedSearch(saved);
+  } else {
+    startRecursiveSearch();
+  }
+}
+
+function executeSearch(search, rootPath, compiled, options = {}) {
+  recursiveSearch = search;
+  updateStatusBar();
+  if (!options.skipIndex && !search.content && canUseFileIndex(rootPath)) {
+    runIndexedSearch(search, rootPath, compiled);
+    return;
+  }
+
+  window.fileManager
+    .startRecursiveSearch(search.id, rootPath, compiled, {
+      showHidden,
+      content: search.content,
+    })
+    .then((result) => {
+      if (recursiveSearch !== search) return;
+      search.done = true;
+      search.truncated = Boolean(result?.truncated);
+      if (result && !result.success) {
+        showNotification("Search failed: " + result.error, "error");
+      }
+      updateStatusBar();
+    })
+    .catch((error) => {
+      if (recursiveSearch !== search) return;
+      search.done = true;
+      showNotification("Search failed: " + error.message, "error");
+      updateStatusBar();
+    });
+}
+
+function syncRecursiveSearchWithNavigation() {
+  const previous = getRecursiveSearchForActivePane();
+  if (!previous) return;
+  stopRecursiveSearch({ restoreItems: false });
+  if (previous.saved) return;
+  if (previous.rootPath !== currentPath) {
+    if (searchInput) searchInput.value = "";
+    return;
+  }
+  startRecursiveSearch();
+}
+
+function scheduleSearchRender() {
+  if (recursiveSearchRenderPending) return;
+  recursiveSearchRenderPending = true;
+  requestAnimationFrame(() => {
+    recursiveSearchRenderPending = false;
+    const search = recursiveSearch;
+    if (!search) return;
+    const pane = panes[search.paneId];
+    if (splitViewEnabled && !pickerMode && pane) {
+      renderPane(pane);
+    } else if (activePaneId === search.paneId) {
+      const scrollTop = fileList ? fileList.scrollTop : 0;
+      renderFiles();
+      if (fileList) fileList.scrollTop = scrollTop;
+    }
+    updateStatusBar();
+  });
+}
+
+function setupSearchResultsListener() {
+  if (!window.fileManager?.onSearchResults) return;
+  window.fileManager.onSearchResults((payload) => {
+    const search = recursiveSearch;
+    if (!search || payload.searchId !== search.id) return;
+    if (payload.items && payload.items.length > 0) {
+      setSearchItems(search, [
+        ...(panes[search.paneId]?.items || currentItems),
+        ...payload.items,
+      ]);
+    }
+    if (payload.done) {
+      search.done = true;
+      search.truncated = Boolean(payload.truncated);
+    }
+    scheduleSearchRender();
+  });
+}
+
+function hasSearchLocations() {
+  return (
+    isSavedSearchPath(currentPath) || Boolean(getRecursiveSearchForActivePane())
+  );
+}
+
+function setupFileIndexStatusListener() {
+  if (!window.fileManager?.onFileIndexStatus) return;
+  window.fileManager.onFileIndexStatus((status) => {
+    fileIndexStatus = status;
+  });
+}
+
+async function updateFileIndexConfig(patch) {
+  try {
+    const result = await window.fileManager.setFileIndexConfig(patch);
+    if (!result || !result.success) {
+      showNotification(
+        "Failed to update search index: " + (result?.error || ""),
+        "error",
+      );
+      return;
+    }
+    fileIndexStatus = result.status;
+  } catch (error) {
+    showNotification("Failed to update search index: " + error.message, "error");
+  }
+}
+
+function isFileIndexRoot(p) {
+  const target = normalizePathForCompare(p);
+  return fileIndexStatus.roots.some(
+    (root) => normalizePathForCompare(root) === target,
+  );
+}
+
+function toggleFileIndexRoot(p) {
+  const roots = isFileIndexRoot(p)
+    ? fileIndexStatus.roots.filter(
+        (root) => normalizePathForCompare(root) !== normalizePathForCompare(p),
+      )
+    : [...fileIndexStatus.roots, p];
+  updateFileIndexConfig({ roots });
+}
+
+function getRecursiveSearchStatus() {
+  const search = getRecursiveSearchForActivePane();
+  if (!search) return "";
+  const count = currentItems.length;
+  if (!search.done) {
+    return search.content
+      ? `Searching contents… ${count} files`
+      : `Searching… ${count} found`;
+  }
+  if (search.truncated) return `${count}+ results (limit reached)`;
+  const source = search.indexed ? " from index" : "";
+  return `${count} result${count === 1 ? "" : "s"}${source}`;
+}
@@ -94,7 +94,9 @@ function addPin(pathToPin, label) {
     p.split(/[/\\]/).filter(Boolean).pop() ||
     p;
 
-  const inferredKey = inferBuiltinKeyFromName(niceLabel);
+  const inferredKey = isSavedSearchPath(p)
+    ? null
+    : inferBuiltinKeyFromName(niceLabel);
   if (
     inferredKey &&
     BUILTIN_REGISTRY[inferredKey] &&
@@ -174,7 +176,11 @@ function renderPinnedItems() {
   pinnedListEl.innerHTML = "";
 
   const iconForQuickAccess = (qa) => {
-    if (qa.type === "pin") return BUILTIN_ICONS.folder;
+    if (qa.type === "pin") {
+      return isSavedSearchPath(qa.path)
+        ? BUILTIN_ICONS.search
+        : BUILTIN_ICONS.folder;
+    }
     const key = String(qa.key || "");
     return BUILTIN_ICONS[key] || BUILTIN_ICONS.folder;
   };
@@ -188,7 +194,9 @@ function renderPinnedItems() {
     row.dataset.qaId = qa.id;
     row.draggable = true;
 
-    if (qa.type === "pin") row.dataset.pinnedPath = qa.path;
+    if (qa.type === "pin" && !isSavedSearchPath(qa.path)) {
+      row.dataset.pinnedPath = qa.path;
+    }
     if (qa.type === "builtin") row.dataset.builtinKey = qa.key;
 
     row.innerHTML = `
@@ -8,6 +8,23 @@ function normalizePathForCompare(p) {
   return n === "" ? "/" : n;
 }
 
+function isTrashPath(p) {
+  if (p === TRASH_VIEW_PATH) return true;
+  return (
+    Boolean(commonDirs && commonDirs.trash) &&
+    normalizePathForCompare(p) === normalizePathForCompare(commonDirs.trash)
+  );
+}
+
+function isVirtualViewPath(p) {
+  const value = String(p || "");
+  return (
+    value.startsWith("tag://") ||
+    value === TRASH_VIEW_PATH ||
+    isSavedSearchPath(value)
+  );
+}
+
 function isPathWithin(basePath, candidatePath) {
   if (!basePath || !candidatePath) return false;
   const base = normalizePathForCompare(basePath);
@@ -153,6 +170,7 @@ function getBuiltinIconForPath(path) {
 
 function getTabIconForPath(path) {
   if (String(path || "").startsWith("tag://")) return icons.folder;
+  if (isSavedSearchPath(path)) return BUILTIN_ICONS.search;
   return getBuiltinIconForPath(path) || icons.folder;
 }
 
@@ -162,9 +180,14 @@ function getTabLabelForPath(path) {
     const tag = String(path).replace("tag://", "");
     return tag ? `${tag.charAt(0).toUpperCase()}${tag.slice(1)}` : "Tags";
   }
-  if (commonDirs && commonDirs.trash) {
-    const trashPath = normalizePathForCompare(commonDirs.trash);
-    if (normalizePathForCompare(path) === trashPath) return "Trash";
+  if (isTrashPath(path)) return "Trash";
+  if (isSavedSearchPath(path)) {
+    const spec = parseSavedSearchPath(path);
+    const pinned = quickAccessItems.find(
+      (qa) => qa.type === "pin" && qa.path === path,
+    );
+    if (pinned?.label) return pinned.label;
+    return spec ? getSavedSearchLabel(spec) : "Search";
   }
   const parts = String(path).split(/[/\\]/).filter(Boolean);
   return parts.pop() || path;
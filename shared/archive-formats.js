@@ -0,0 +1,52 @@
+const ARCHIVE_FORMATS = [
+  { extensions: ["tar.gz", "tgz"], type: "tar", codec: "gzip" },
+  { extensions: ["tar.bz2", "tbz2", "tbz"], type: "tar", codec: "bzip2" },
+  { extensions: ["tar.xz", "txz"], type: "tar", codec: "xz" },
+  { extensions: ["tar.zst", "tzst"], type: "tar", codec: "zstd" },
+  { extensions: ["tar.lz4"], type: "tar", codec: "lz4" },
+  { extensions: ["tar.lz", "tlz"], type: "tar", codec: "lzip" },
+  { extensions: ["tar"], type: "tar" },
+  { extensions: ["gz"], type: "compressed", codec: "gzip" },
+  { extensions: ["bz2"], type: "compressed", codec: "bzip2" },
+  { extensions: ["xz"], type: "compressed", codec: "xz" },
+  { extensions: ["zst"], type: "compressed", codec: "zstd" },
+  { extensions: ["lz4"], type: "compressed", codec: "lz4" },
+  { extensions: ["lz"], type: "compressed", codec: "lzip" },
+  {
+    extensions: ["zip", "7z", "rar", "cpio", "deb", "rpm", "iso"],
+    type: "archive",
+  },
+];
+
+const ARCHIVE_EXTENSIONS = ARCHIVE_FORMATS.flatMap(
+  (format) => format.extensions,
+);
+
+function getArchiveFormat(filePath) {
+  const baseName = String(filePath || "")
+    .split(/[/\\]/)
+    .pop();
+  const lower = baseName.toLowerCase();
+  for (const format of ARCHIVE_FORMATS) {
+    const extension = format.extensions.find((ext) =>
+      lower.endsWith(`.${ext}`),
+    );
+    if (extension) {
+      return {
+        type: format.type,
+        codec: format.codec || null,
+        extension,
+        stem: baseName.slice(0, -(extension.length + 1)),
+      };
+    }
+  }
+  return null;
+}
+
+function isArchivePath(filePath) {
+  return getArchiveFormat(filePath) !== null;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { ARCHIVE_EXTENSIONS, getArchiveFormat, isArchivePath };
+}
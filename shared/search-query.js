@@ -0,0 +1,104 @@
+function compareSearchValue(actual, op, expected) {
+  switch (op) {
+    case ">":
+      return actual > expected;
+    case ">=":
+      return actual >= expected;
+    case "<":
+      return actual < expected;
+    case "<=":
+      return actual <= expected;
+    default:
+      return actual === expected;
+  }
+}
+
+function compileSearchQuery(query) {
+  const groups = (query?.groups || []).map((group) =>
+    group.map((filter) => {
+      if (filter.kind === "regex") {
+        return { ...filter, pattern: new RegExp(filter.source, filter.flags) };
+      }
+      if (filter.kind === "paths") {
+        return { ...filter, values: new Set(filter.values) };
+      }
+      return filter;
+    }),
+  );
+  return {
+    groups,
+    text: String(query?.text || "").toLowerCase(),
+    needsStats: groups.some((group) =>
+      group.some((f) => f.kind === "size" || f.kind === "modified"),
+    ),
+  };
+}
+
+function matchesSearchFilter(item, filter) {
+  const ext = (item.extension || "").toLowerCase();
+  switch (filter.kind) {
+    case "text":
+      return item.name.toLowerCase().includes(filter.value);
+    case "regex":
+      filter.pattern.lastIndex = 0;
+      return filter.pattern.test(item.name);
+    case "size":
+      return (
+        !item.isDirectory &&
+        compareSearchValue(item.size || 0, filter.op, filter.bytes)
+      );
+    case "modified": {
+      const time = item.modified ? new Date(item.modified).getTime() : 0;
+      if (filter.op === "day") {
+        return time >= filter.time && time < filter.time + 24 * 60 * 60 * 1000;
+      }
+      return compareSearchValue(time, filter.op, filter.time);
+    }
+    case "type":
+      return item.isDirectory
+        ? filter.directories
+        : filter.extensions.includes(ext.replace(".", ""));
+    case "ext":
+      return !item.isDirectory && filter.values.includes(ext);
+    case "paths":
+      return filter.values.has(item.path);
+    default:
+      return true;
+  }
+}
+
+function matchesSearchGroups(item, groups) {
+  if (groups.length === 0) return true;
+  return groups.some((group) =>
+    group.every((filter) => matchesSearchFilter(item, filter)),
+  );
+}
+
+function splitContentSearchGroups(groups) {
+  return groups.map((group) => ({
+    filters: group.filter((filter) => filter.kind !== "text"),
+    terms: group
+      .filter((filter) => filter.kind === "text" && filter.value)
+      .map((filter) => filter.value),
+  }));
+}
+
+function getSearchTerms(query) {
+  const terms = new Set();
+  for (const group of query?.groups || []) {
+    for (const filter of group) {
+      if (filter.kind === "text" && filter.value) terms.add(filter.value);
+    }
+  }
+  return [...terms];
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    compileSearchQuery,
+    matchesSearchFilter,
+    matchesSearchGroups,
+    splitContentSearchGroups,
+    getSearchTerms,
+  };
+}